@@ -0,0 +1,305 @@
+/**
+ * PF2E Vision Configuration - Bulk Vision Editor
+ * GM tool that applies one vision configuration to many tokens or prototype tokens at once
+ */
+
+import { pf2eVisionConfig } from './pf2e-vision-config.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class BulkVisionEditor extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        this.state = {
+            scope: canvas.tokens?.controlled.length ? 'controlled' : 'scene',
+            actorIds: [],
+            folderId: '',
+            config: {}
+        };
+        // Changes shown to the GM, applied exactly as previewed
+        this.preview = null;
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: 'pf2e-vision-bulk-editor',
+        tag: 'form',
+        classes: ['pf2e-vision-bulk-editor'],
+        window: {
+            title: 'PF2E_VISION_CONFIG.BULK.TITLE',
+            icon: 'fas fa-eye',
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: 'auto'
+        },
+        actions: {
+            preview: BulkVisionEditor.#onPreview,
+            apply: BulkVisionEditor.#onApply
+        }
+    };
+
+    /**
+     * Render the editor form and, once requested, the preview of changes
+     * @param {object} context - The render context
+     * @param {object} options - Render options
+     * @returns {Promise<string>} The form HTML
+     */
+    async _renderHTML(context, options) {
+        const { scope, actorIds, folderId, config } = this.state;
+        const localize = key => game.i18n.localize(`PF2E_VISION_CONFIG.BULK.${key}`);
+        const option = (value, label, selected) => `<option value="${pf2eVisionConfig.escapeHtml(value)}" ${selected ? 'selected' : ''}>${pf2eVisionConfig.escapeHtml(label)}</option>`;
+
+        const scopeOptions = ['controlled', 'scene', 'actors', 'folder']
+            .map(value => option(value, localize(`SCOPES.${value.toUpperCase()}`), scope === value))
+            .join('');
+        const actorOptions = game.actors.contents
+            .map(actor => option(actor.id, actor.name, actorIds.includes(actor.id)))
+            .join('');
+        const folderOptions = game.folders.filter(folder => folder.type === 'Actor')
+            .map(folder => option(folder.id, folder.name, folderId === folder.id))
+            .join('');
+        const presetOptions = pf2eVisionConfig.getPresets()
+            .map(preset => option(preset.id, preset.name, config.presetId === preset.id))
+            .join('');
+        const typeOptions = Object.entries(pf2eVisionConfig.getVisionTypeChoices())
+            .map(([type, label]) => option(type, label, config.visionType === type))
+            .join('');
+
+        return `
+            <div class="form-group">
+                <label>${localize('SCOPE')}</label>
+                <select name="scope">${scopeOptions}</select>
+            </div>
+            <div class="form-group" ${scope === 'actors' ? '' : 'hidden'}>
+                <label>${localize('ACTORS')}</label>
+                <select name="actorIds" multiple>${actorOptions}</select>
+            </div>
+            <div class="form-group" ${scope === 'folder' ? '' : 'hidden'}>
+                <label>${localize('FOLDER')}</label>
+                <select name="folderId"><option value=""></option>${folderOptions}</select>
+            </div>
+            <fieldset>
+                <legend>${localize('CONFIGURATION')}</legend>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.PRESET')}</label>
+                    <select name="config.presetId"><option value="">${localize('NO_PRESET')}</option>${presetOptions}</select>
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_FEET')}</label>
+                    <div class="pf2e-vision-distance">
+                        <input type="number" name="config.daylightVisionFeet" value="${config.daylightVisionFeet ?? ''}" min="0" step="1" placeholder="${localize('KEEP')}" />
+                        <select name="config.nearUnit"><option value="">${localize('KEEP')}</option>${pf2eVisionConfig.renderUnitOptions(['ft', 'm'], config.nearUnit)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_MILES')}</label>
+                    <div class="pf2e-vision-distance">
+                        <input type="number" name="config.daylightVisionMiles" value="${config.daylightVisionMiles ?? ''}" min="0" step="0.1" placeholder="${localize('KEEP')}" />
+                        <select name="config.farUnit"><option value="">${localize('KEEP')}</option>${pf2eVisionConfig.renderUnitOptions(['mi', 'km'], config.farUnit)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPE')}</label>
+                    <select name="config.visionType"><option value="">${localize('KEEP')}</option>${typeOptions}</select>
+                </div>
+                <p class="notes">${localize('CONFIGURATION_HINT')}</p>
+            </fieldset>
+            ${this.renderPreview()}
+            <footer class="form-footer">
+                <button type="button" data-action="preview">
+                    <i class="fas fa-search"></i> ${localize('PREVIEW')}
+                </button>
+                <button type="button" data-action="apply" ${this.preview?.length ? '' : 'disabled'}>
+                    <i class="fas fa-check"></i> ${localize('APPLY')}
+                </button>
+            </footer>
+        `;
+    }
+
+    /**
+     * Build the preview table
+     * @returns {string} The table HTML, empty until a preview is requested
+     */
+    renderPreview() {
+        if (!this.preview) return '';
+        if (!this.preview.length) {
+            return `<p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.BULK.NO_CHANGES')}</p>`;
+        }
+
+        const rows = this.preview.map(entry => `
+            <tr>
+                <td>${pf2eVisionConfig.escapeHtml(entry.name)}</td>
+                <td>${pf2eVisionConfig.escapeHtml(entry.location)}</td>
+                <td>${pf2eVisionConfig.escapeHtml(entry.from)}</td>
+                <td>${pf2eVisionConfig.escapeHtml(entry.to)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="pf2e-vision-bulk-preview">
+                <thead>
+                    <tr>
+                        <th>${game.i18n.localize('PF2E_VISION_CONFIG.BULK.TOKEN')}</th>
+                        <th>${game.i18n.localize('PF2E_VISION_CONFIG.BULK.LOCATION')}</th>
+                        <th>${game.i18n.localize('PF2E_VISION_CONFIG.BULK.FROM')}</th>
+                        <th>${game.i18n.localize('PF2E_VISION_CONFIG.BULK.TO')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Replace the application content with the rendered form
+     * @param {string} result - Result of _renderHTML
+     * @param {HTMLElement} content - The content element
+     * @param {object} options - Render options
+     */
+    _replaceHTML(result, content, options) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Any edit invalidates the preview; the form element outlives re-renders, so listen once
+     * @param {object} context - The render context
+     * @param {object} options - Render options
+     */
+    _onFirstRender(context, options) {
+        this.element.addEventListener('change', () => {
+            this.readState();
+            this.preview = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Read the form into the editor state
+     */
+    readState() {
+        const formData = new foundry.applications.ux.FormDataExtended(this.element);
+        const data = foundry.utils.expandObject(formData.object);
+        const config = data.config ?? {};
+
+        this.state = {
+            scope: data.scope ?? 'controlled',
+            actorIds: [data.actorIds ?? []].flat().filter(id => id),
+            folderId: data.folderId ?? '',
+            config: {
+                presetId: config.presetId || undefined,
+                daylightVisionFeet: Number.isFinite(config.daylightVisionFeet) ? config.daylightVisionFeet : undefined,
+                daylightVisionMiles: Number.isFinite(config.daylightVisionMiles) ? config.daylightVisionMiles : undefined,
+                nearUnit: config.nearUnit || undefined,
+                farUnit: config.farUnit || undefined,
+                visionType: config.visionType || undefined
+            }
+        };
+    }
+
+    /**
+     * Collect the documents the current scope covers
+     * @returns {object[]} Targets as { kind, document, name, location }, kind being 'token' or 'prototype'
+     */
+    getTargets() {
+        const { scope, actorIds, folderId } = this.state;
+        const tokenTarget = tokenDocument => ({
+            kind: 'token',
+            document: tokenDocument,
+            name: tokenDocument.name,
+            location: tokenDocument.parent?.name ?? ''
+        });
+        const prototypeTarget = actor => ({
+            kind: 'prototype',
+            document: actor,
+            name: actor.name,
+            location: game.i18n.localize('PF2E_VISION_CONFIG.BULK.PROTOTYPE')
+        });
+
+        switch (scope) {
+            case 'controlled':
+                return (canvas.tokens?.controlled ?? []).map(token => tokenTarget(token.document));
+            case 'scene':
+                return (canvas.scene?.tokens.contents ?? []).map(tokenTarget);
+            case 'actors':
+                return actorIds.map(id => game.actors.get(id)).filter(actor => actor).map(prototypeTarget);
+            case 'folder': {
+                const folder = game.folders.get(folderId);
+                if (!folder) return [];
+                const folders = [folder, ...folder.getSubfolders(true)];
+                return folders.flatMap(entry => entry.contents).map(prototypeTarget);
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Work out which targets change, and from what to what
+     * @returns {object[]} Changes as { kind, document, name, location, from, to, flags }
+     */
+    buildPreview() {
+        return this.getTargets().flatMap(target => {
+            const currentFlags = target.kind === 'token'
+                ? target.document.flags?.['pf2e-vision-config']
+                : target.document.prototypeToken?.flags?.['pf2e-vision-config'];
+            const flags = pf2eVisionConfig.applyVisionConfig(currentFlags ?? {}, this.state.config);
+
+            const from = pf2eVisionConfig.summarizeVision(currentFlags ?? {});
+            const to = pf2eVisionConfig.summarizeVision(flags);
+            const unchanged = currentFlags && foundry.utils.objectsEqual(
+                foundry.utils.filterObject(currentFlags, flags),
+                flags
+            );
+            if (unchanged) return [];
+
+            return [{ ...target, from, to, flags }];
+        });
+    }
+
+    /**
+     * Show what would change
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onPreview(event, target) {
+        this.readState();
+        this.preview = this.buildPreview();
+        this.render();
+    }
+
+    /**
+     * Apply the previewed changes in one batch per scene, plus one batch for prototype tokens
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static async #onApply(event, target) {
+        if (!this.preview?.length) return;
+
+        try {
+            const tokenUpdates = [];
+            const actorUpdates = [];
+            for (const entry of this.preview) {
+                if (entry.kind === 'token') {
+                    // onPreUpdateToken calculates the ranges for each token
+                    tokenUpdates.push({ tokenDocument: entry.document, changes: { flags: { 'pf2e-vision-config': entry.flags } } });
+                } else {
+                    actorUpdates.push(pf2eVisionConfig.buildPrototypeVisionUpdate(entry.document, entry.flags));
+                }
+            }
+
+            const options = pf2eVisionConfig.getHistoryOptions('bulk');
+            await pf2eVisionConfig.updateTokensByScene(tokenUpdates, options);
+            if (actorUpdates.length) {
+                await Actor.updateDocuments(actorUpdates, options);
+            }
+
+            ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.BULK.APPLIED', { count: this.preview.length }));
+            this.preview = null;
+            this.render();
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error applying bulk vision changes', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.BULK.APPLY_FAILED'));
+        }
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * PF2E Vision Configuration - Exploration Layer
+ * GM canvas layer that shades the hexes of an exploration scene as sighted, visited or unknown
+ */
+
+import { pf2eVisionConfig } from './pf2e-vision-config.js';
+
+const { InteractionLayer } = foundry.canvas.layers;
+
+/**
+ * Fill color and alpha of each exploration state
+ * @type {Object<string, {color: number, alpha: number}>}
+ */
+const HEX_STYLES = {
+    'visited': { color: 0x2e8b57, alpha: 0.35 },
+    'sighted': { color: 0xdaa520, alpha: 0.3 },
+    'unknown': { color: 0x000000, alpha: 0.5 }
+};
+
+export class ExplorationLayer extends InteractionLayer {
+    /**
+     * Name the layer so it is reachable as canvas.pf2eVisionExploration, above the tokens
+     * @returns {object} The layer options
+     */
+    static get layerOptions() {
+        return foundry.utils.mergeObject(super.layerOptions, {
+            name: 'pf2eVisionExploration',
+            zIndex: 180
+        });
+    }
+
+    /**
+     * Draw the layer; the hexes are only shown while the layer is active
+     * @param {object} options - Draw options
+     */
+    async _draw(options) {
+        this.hexes = this.addChild(new PIXI.Graphics());
+        this.visible = this.active;
+        this.refresh();
+    }
+
+    /**
+     * Show the hexes when the GM switches to the exploration controls
+     */
+    _activate() {
+        this.visible = true;
+        this.refresh();
+    }
+
+    /**
+     * Hide the hexes when another control set is chosen
+     */
+    _deactivate() {
+        this.visible = false;
+    }
+
+    /**
+     * Redraw the hexes from the viewed scene's exploration flags
+     */
+    refresh() {
+        if (!this.hexes) return;
+        this.hexes.clear();
+
+        const scene = canvas.scene;
+        if (!game.user.isGM || !pf2eVisionConfig.isExplorationScene(scene)) return;
+
+        try {
+            const { sighted, visited } = pf2eVisionConfig.getExploredHexes(scene);
+
+            // Unknown hexes are only shaded when the whole map is small enough to walk
+            const rect = canvas.dimensions.sceneRect;
+            const offsets = pf2eVisionConfig.getHexOffsetsInRect(scene.grid, rect.x, rect.y, rect.right, rect.bottom);
+            const keys = offsets ? offsets.map(offset => pf2eVisionConfig.getHexKey(offset)) : sighted;
+
+            for (const key of keys) {
+                const state = visited.has(key) ? 'visited' : sighted.has(key) ? 'sighted' : 'unknown';
+                this.drawHex(scene.grid, key, HEX_STYLES[state]);
+            }
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error drawing exploration layer', error);
+        }
+    }
+
+    /**
+     * Draw a single hex
+     * @param {foundry.grid.BaseGrid} grid - The scene's grid
+     * @param {string} key - The hex key, see getHexKey
+     * @param {object} style - Fill color and alpha
+     */
+    drawHex(grid, key, style) {
+        const points = grid.getVertices(pf2eVisionConfig.parseHexKey(key));
+        this.hexes.lineStyle(1, 0x000000, 0.4)
+            .beginFill(style.color, style.alpha)
+            .drawPolygon(points.flatMap(point => [point.x, point.y]))
+            .endFill();
+    }
+}
@@ -4,9 +4,322 @@
  * Compatible with Foundry VTT v13
  */
 
+import { VisionPresetsManager } from './vision-presets.js';
+import { BulkVisionEditor } from './bulk-vision-editor.js';
+import { ExplorationLayer } from './exploration-layer.js';
+import { SightReport } from './sight-report.js';
+
+/**
+ * Built-in vision types, in the order they are offered in forms
+ * label: localization key of the type's name
+ * lightLevels: light levels the type works in ('bright', 'dim', 'darkness'); only the levels a visual type
+ *              lacks let scene lighting shorten it
+ * visual: whether weather presets scale and cap the type's ranges
+ * detectionMode: Foundry detection mode the type is written to
+ * acuity: acuity a sense of this type gets when none is given
+ * pf2eSenses: PF2e sense slugs that become this type when deriving vision from an actor
+ * calculateRanges: given the sense range in feet (Infinity for unlimited senses), returns { range, darknessRange }
+ *                  and optionally a detectionRange for senses that detect without extending sight
+ * @type {Object<string, object>}
+ */
+const BUILT_IN_VISION_TYPES = {
+    'normal': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.NORMAL',
+        lightLevels: ['bright'],
+        visual: true,
+        detectionMode: 'basicSight',
+        // Normal vision works in light - use exact range specified
+        calculateRanges: range => ({ range, darknessRange: 0 })
+    },
+    'low-light': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.LOW_LIGHT',
+        lightLevels: ['bright', 'dim'],
+        visual: true,
+        detectionMode: 'basicSight',
+        pf2eSenses: ['low-light-vision'],
+        // Low-light vision doubles range in dim light
+        calculateRanges: range => ({ range: range * 2, darknessRange: 0 })
+    },
+    'darkvision': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.DARKVISION',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: true,
+        detectionMode: 'basicSight',
+        pf2eSenses: ['darkvision'],
+        // Darkvision works in darkness - use exact range specified
+        calculateRanges: range => ({ range: 0, darknessRange: range })
+    },
+    'greater-darkvision': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.GREATER_DARKVISION',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: true,
+        detectionMode: 'basicSight',
+        pf2eSenses: ['greater-darkvision'],
+        // Greater darkvision also sees through magical darkness, which the ranges can't express
+        calculateRanges: range => ({ range: 0, darknessRange: range })
+    },
+    'see-invisibility': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.SEE_INVISIBILITY',
+        lightLevels: ['bright'],
+        visual: true,
+        detectionMode: 'seeInvisibility',
+        pf2eSenses: ['see-invisibility'],
+        // Reveals invisible creatures within sight without extending it
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    },
+    'blindsight': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.BLINDSIGHT',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'senseAll',
+        // Blindsight works in darkness - use exact range specified
+        calculateRanges: range => ({ range: 0, darknessRange: range })
+    },
+    'tremorsense': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.TREMORSENSE',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'feelTremor',
+        acuity: 'imprecise',
+        pf2eSenses: ['tremorsense'],
+        // Tremorsense has limited range but works in darkness
+        calculateRanges: range => ({ range: 0, darknessRange: range })
+    },
+    'echolocation': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.ECHOLOCATION',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'senseAll',
+        pf2eSenses: ['echolocation'],
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    },
+    'thoughtsense': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.THOUGHTSENSE',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'senseAll',
+        acuity: 'imprecise',
+        pf2eSenses: ['thoughtsense'],
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    },
+    'lifesense': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.LIFESENSE',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'senseAll',
+        acuity: 'imprecise',
+        pf2eSenses: ['lifesense'],
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    },
+    'scent': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.SCENT',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: false,
+        detectionMode: 'senseAll',
+        acuity: 'imprecise',
+        pf2eSenses: ['scent'],
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    },
+    'truesight': {
+        label: 'PF2E_VISION_CONFIG.VISION_TYPES.TRUESIGHT',
+        lightLevels: ['bright', 'dim', 'darkness'],
+        visual: true,
+        detectionMode: 'seeAll',
+        pf2eSenses: ['truesight'],
+        calculateRanges: range => ({ range: 0, darknessRange: 0, detectionRange: range })
+    }
+};
+
+/**
+ * Weather presets: a multiplier for visual ranges and an optional cap in feet
+ * @type {Object<string, {multiplier: number, cap: number|null}>}
+ */
+const WEATHER_PRESETS = {
+    'clear': { multiplier: 1, cap: null },
+    'fog': { multiplier: 0.25, cap: 500 },
+    'heavy-fog': { multiplier: 0.1, cap: 60 },
+    'rain': { multiplier: 0.5, cap: null },
+    'heavy-rain': { multiplier: 0.25, cap: 1000 },
+    'snow': { multiplier: 0.5, cap: 2640 },
+    'blizzard': { multiplier: 0.1, cap: 100 },
+    'sandstorm': { multiplier: 0.05, cap: 30 }
+};
+
+/**
+ * Share of the daylight range left in full darkness
+ * @type {number}
+ */
+const NIGHT_DAYLIGHT_FACTOR = 0.05;
+
+/**
+ * Length of one unit in feet, for the units vision distances can be entered in
+ * @type {Object<string, number>}
+ */
+const DISTANCE_UNITS = {
+    'ft': 1,
+    'mi': 5280,
+    'm': 3.28084,
+    'km': 3280.84
+};
+
+/**
+ * Spellings of scene grid units, mapped to DISTANCE_UNITS keys
+ * @type {Object<string, string>}
+ */
+const GRID_UNIT_ALIASES = {
+    'ft': 'ft', 'ft.': 'ft', 'feet': 'ft', 'foot': 'ft', "'": 'ft',
+    'mi': 'mi', 'mi.': 'mi', 'mile': 'mi', 'miles': 'mi',
+    'm': 'm', 'm.': 'm', 'meter': 'm', 'meters': 'm', 'metre': 'm', 'metres': 'm',
+    'km': 'km', 'km.': 'km', 'kilometer': 'km', 'kilometers': 'km', 'kilometre': 'km', 'kilometres': 'km'
+};
+
+/**
+ * Near and far input units of each unit system
+ * @type {Object<string, {near: string, far: string}>}
+ */
+const UNIT_SYSTEMS = {
+    'imperial': { near: 'ft', far: 'mi' },
+    'metric': { near: 'm', far: 'km' }
+};
+
+/**
+ * Feet in one grid square when a scene's units aren't a known length
+ * @type {number}
+ */
+const FEET_PER_SQUARE = 5;
+
+/**
+ * PF2e sense acuities, from most to least exact
+ * @type {string[]}
+ */
+const SENSE_ACUITIES = ['precise', 'imprecise', 'vague'];
+
+/**
+ * PF2e conditions that override a token's vision while they last
+ * blinded: visual senses stop working
+ * dazzled: what visual senses perceive is concealed if vision is the only precise sense left
+ * @type {string[]}
+ */
+const VISION_CONDITIONS = ['blinded', 'dazzled'];
+
+/**
+ * Ways a token's daylight range can follow its height above the ground
+ * off: the daylight distances are the range
+ * cap: the distance to the horizon, limited to the daylight distances if any are set
+ * bonus: the distance to the horizon plus the daylight distances
+ * @type {string[]}
+ */
+const HORIZON_MODES = ['off', 'cap', 'bonus'];
+
+/**
+ * Radius of the world in feet, for horizon distances; Golarion is taken to be the size of Earth
+ * @type {number}
+ */
+const PLANET_RADIUS_FEET = 20902231;
+
+/**
+ * Height of a viewer's eyes above its token's elevation, in feet
+ * @type {number}
+ */
+const EYE_HEIGHT_FEET = 5;
+
+/**
+ * Scene flags of exploration mode; they don't change token vision
+ * exploredHexes maps hex keys to 'sighted' or 'visited'; sightedHexes and visitedHexes are the arrays
+ * hexes were kept in before, read until the scene is migrated or explored again
+ * @type {string[]}
+ */
+const EXPLORATION_FLAGS = ['explorationMode', 'exploredHexes', 'sightedHexes', 'visitedHexes'];
+
+/**
+ * Most hexes looked at in one pass, so scenes with small hexes and long ranges stay responsive
+ * @type {number}
+ */
+const MAX_EXPLORATION_HEXES = 10000;
+
+/**
+ * Detection states a creature can have for a seeker, from best to worst seen
+ * @type {string[]}
+ */
+const DETECTION_STATES = ['observed', 'hidden', 'undetected'];
+
+/**
+ * PF2e conditions that hide a creature; Seek results only last while these stay as they were
+ * @type {string[]}
+ */
+const DETECTION_CONDITIONS = ['hidden', 'undetected', 'unnoticed'];
+
+/**
+ * Version of the token flag layout, stored with the flags as schemaVersion
+ * 1: senses list, near and far units, horizon mode and lock; replaces the single visionType flag
+ * @type {number}
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Token flags that configure vision; detection flags written by Seek are not among them
+ * @type {string[]}
+ */
+const VISION_FLAG_KEYS = ['daylightVisionFeet', 'daylightVisionMiles', 'nearUnit', 'farUnit', 'senses', 'visionType',
+    'lockVision', 'horizonMode', 'storedDaylight', 'schemaVersion', 'history'];
+
+/**
+ * Update option naming what made a vision change, recorded in the token's history
+ * @type {string}
+ */
+const HISTORY_SOURCE_OPTION = 'pf2eVisionSource';
+
+/**
+ * What can make a vision change; changes without a source were made in the token config
+ * @type {string[]}
+ */
+const HISTORY_SOURCES = ['manual', 'bulk', 'command', 'keybinding', 'api', 'auto', 'correction', 'migration', 'revert'];
+
+/**
+ * Entries kept in each token's vision history, newest first
+ * @type {number}
+ */
+const HISTORY_LIMIT = 10;
+
+/**
+ * Name of the chat command that changes the vision of controlled tokens
+ * @type {string}
+ */
+const VISION_COMMAND = '/vision';
+
+/**
+ * Colors of the range rings drawn around a token, one per sense in order
+ * @type {number[]}
+ */
+const RING_COLORS = [0xf5d76e, 0x6ec1f5, 0xb06ef5, 0x6ef59a, 0xf58a6e, 0xf56ec8];
+
+/**
+ * Update option marking vision corrections written by the module, so they aren't corrected again
+ * @type {string}
+ */
+const CORRECTION_OPTION = 'pf2eVisionCorrection';
+
+/**
+ * Milliseconds to collect token corrections before they are written in one batch
+ * @type {number}
+ */
+const CORRECTION_DELAY = 100;
+
 class PF2EVisionConfig {
     constructor() {
         this.initialized = false;
+        // Vision type registry, keyed by type; other modules add to it through the API
+        this.visionTypes = new Map();
+        for (const [visionType, definition] of Object.entries(BUILT_IN_VISION_TYPES)) {
+            this.registerVisionType(visionType, definition);
+        }
+        // Tokens waiting for a vision correction, written together once updates settle
+        this.pendingCorrections = new Set();
+        this.debouncedFlushCorrections = foundry.utils.debounce(() => this.flushCorrections(), CORRECTION_DELAY);
+        // Exploration updates run one after another so moves in quick succession don't overwrite each other
+        this.explorationQueue = Promise.resolve();
+        // Range rings shown on this client, keyed by token ID
+        this.rangeRings = new Map();
     }
 
     /**
@@ -16,11 +329,9 @@ class PF2EVisionConfig {
         if (this.initialized) return;
         
         try {
-            // Hook into token configuration rendering
+            // Hook into token and prototype token configuration rendering
             Hooks.on('renderTokenConfig', this.onRenderTokenConfig.bind(this));
-            
-            // Hook into token config form submission to process vision before save
-            Hooks.on('closeTokenConfig', this.onCloseTokenConfig.bind(this));
+            Hooks.on('renderPrototypeTokenConfig', this.onRenderTokenConfig.bind(this));
             
             // Hook into token updates to apply vision settings
             Hooks.on('preUpdateToken', this.onPreUpdateToken.bind(this));
@@ -30,6 +341,33 @@ class PF2EVisionConfig {
             
             // Hook into token creation to set defaults
             Hooks.on('preCreateToken', this.onPreCreateToken.bind(this));
+
+            // Hook into prototype token changes, which are saved as actor updates
+            Hooks.on('preUpdateActor', this.onPreUpdateActor.bind(this));
+
+            // Hook into actor and item changes to re-sync senses derived from the actor
+            Hooks.on('updateActor', this.onUpdateActor.bind(this));
+            Hooks.on('createItem', this.onActorItemChange.bind(this));
+            Hooks.on('updateItem', this.onActorItemChange.bind(this));
+            Hooks.on('deleteItem', this.onActorItemChange.bind(this));
+
+            // Hook into scene configuration and scene changes for lighting and weather
+            Hooks.on('renderSceneConfig', this.onRenderSceneConfig.bind(this));
+            Hooks.on('updateScene', this.onUpdateScene.bind(this));
+            Hooks.on('updateWorldTime', this.onUpdateWorldTime.bind(this));
+
+            // Hook into the token HUD to toggle range rings
+            Hooks.on('renderTokenHUD', this.onRenderTokenHUD.bind(this));
+
+            // Hook into chat input for the /vision command
+            Hooks.on('chatMessage', this.onChatMessage.bind(this));
+
+            // Hook into Perception checks to resolve Seek actions
+            Hooks.on('createChatMessage', this.onCreateChatMessage.bind(this));
+
+            // Hook into scene controls to add the GM tools
+            Hooks.on('getSceneControlButtons', this.onGetSceneControlButtons.bind(this));
+            ui.controls?.render({ reset: true });
             
             this.initialized = true;
             console.log('PF2E Vision Configuration module initialized');
@@ -85,19 +423,97 @@ class PF2EVisionConfig {
                 config: true,
                 type: String,
                 default: 'normal',
+                choices: this.getVisionTypeChoices()
+            });
+
+            game.settings.register('pf2e-vision-config', 'defaultUnitSystem', {
+                name: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.DEFAULT_UNIT_SYSTEM'),
+                hint: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.DEFAULT_UNIT_SYSTEM_HINT'),
+                scope: 'world',
+                config: true,
+                type: String,
+                default: 'imperial',
                 choices: {
-                    'normal': game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.NORMAL'),
-                    'low-light': game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.LOW_LIGHT'),
-                    'darkvision': game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.DARKVISION'),
-                    'blindsight': game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.BLINDSIGHT'),
-                    'tremorsense': game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.TREMORSENSE')
+                    'imperial': game.i18n.localize('PF2E_VISION_CONFIG.UNIT_SYSTEMS.IMPERIAL'),
+                    'metric': game.i18n.localize('PF2E_VISION_CONFIG.UNIT_SYSTEMS.METRIC')
                 }
             });
+
+            game.settings.register('pf2e-vision-config', 'schemaVersion', {
+                scope: 'world',
+                config: false,
+                type: Number,
+                default: 0
+            });
+
+            game.settings.register('pf2e-vision-config', 'presets', {
+                scope: 'world',
+                config: false,
+                type: Array,
+                default: []
+            });
+
+            game.settings.registerMenu('pf2e-vision-config', 'presetsMenu', {
+                name: game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.MENU_NAME'),
+                label: game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.MENU_LABEL'),
+                hint: game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.MENU_HINT'),
+                icon: 'fas fa-list',
+                type: VisionPresetsManager,
+                restricted: true
+            });
+
+            game.settings.register('pf2e-vision-config', 'playerVisionCommands', {
+                name: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.PLAYER_VISION_COMMANDS'),
+                hint: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.PLAYER_VISION_COMMANDS_HINT'),
+                scope: 'world',
+                config: true,
+                type: Boolean,
+                default: true
+            });
+
+            game.settings.register('pf2e-vision-config', 'autoDeriveSenses', {
+                name: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.AUTO_DERIVE_SENSES'),
+                hint: game.i18n.localize('PF2E_VISION_CONFIG.SETTINGS.AUTO_DERIVE_SENSES_HINT'),
+                scope: 'world',
+                config: true,
+                type: Boolean,
+                default: false
+            });
         } catch (error) {
             console.error('PF2E Vision Configuration: Error registering settings', error);
         }
     }
 
+    /**
+     * Register the keybindings for quick vision changes
+     * Keybindings must be registered during init, like settings
+     */
+    registerKeybindings() {
+        try {
+            game.keybindings.register('pf2e-vision-config', 'cycleVisionType', {
+                name: 'PF2E_VISION_CONFIG.KEYBINDINGS.CYCLE_VISION_TYPE',
+                hint: 'PF2E_VISION_CONFIG.KEYBINDINGS.CYCLE_VISION_TYPE_HINT',
+                editable: [{ key: 'KeyV', modifiers: ['Shift'] }],
+                onDown: () => {
+                    this.cycleVisionType();
+                    return true;
+                }
+            });
+
+            game.keybindings.register('pf2e-vision-config', 'toggleDaylightVision', {
+                name: 'PF2E_VISION_CONFIG.KEYBINDINGS.TOGGLE_DAYLIGHT',
+                hint: 'PF2E_VISION_CONFIG.KEYBINDINGS.TOGGLE_DAYLIGHT_HINT',
+                editable: [{ key: 'KeyV', modifiers: ['Alt'] }],
+                onDown: () => {
+                    this.toggleDaylightVision();
+                    return true;
+                }
+            });
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error registering keybindings', error);
+        }
+    }
+
     /**
      * Set default values for new tokens
      * @param {foundry.documents.BaseToken} tokenDocument - The token document being created
@@ -109,7 +525,10 @@ class PF2EVisionConfig {
         try {
             const defaultFeet = game.settings.get('pf2e-vision-config', 'defaultDaylightFeet') || 0;
             const defaultMiles = game.settings.get('pf2e-vision-config', 'defaultDaylightMiles') || 0;
-            const defaultType = game.settings.get('pf2e-vision-config', 'defaultVisionType') || 'normal';
+            // The scene's default vision type takes precedence over the world's
+            const sceneType = this.getSceneRules(this.getTokenScene(tokenDocument))?.defaultVisionType;
+            const defaultType = sceneType || game.settings.get('pf2e-vision-config', 'defaultVisionType') || 'normal';
+            const defaultUnits = UNIT_SYSTEMS[game.settings.get('pf2e-vision-config', 'defaultUnitSystem')] ?? UNIT_SYSTEMS.imperial;
 
             // Only set defaults if flags aren't already specified
             if (!data.flags?.['pf2e-vision-config']) {
@@ -117,25 +536,42 @@ class PF2EVisionConfig {
                 data.flags['pf2e-vision-config'] = {
                     daylightVisionFeet: defaultFeet,
                     daylightVisionMiles: defaultMiles,
-                    visionType: defaultType
+                    nearUnit: defaultUnits.near,
+                    farUnit: defaultUnits.far,
+                    senses: [this.normalizeSense({ type: defaultType })],
+                    schemaVersion: SCHEMA_VERSION
                 };
+            } else if (this.isManagedToken(data.flags['pf2e-vision-config'])
+                && data.flags['pf2e-vision-config'].schemaVersion !== SCHEMA_VERSION) {
+                // Tokens dropped from outdated prototypes or compendiums are brought up to date
+                const { visionType, ...visionFlags } = data.flags['pf2e-vision-config'];
+                data.flags['pf2e-vision-config'] = { ...visionFlags, ...this.normalizeVisionFlags(data.flags['pf2e-vision-config']) };
+            }
+
+            // In auto mode, senses from the linked actor take precedence over the defaults
+            if (this.isAutoSenseEnabled(data.flags['pf2e-vision-config'])) {
+                const derivedFlags = this.deriveVisionFlags(tokenDocument.actor, data.flags['pf2e-vision-config']);
+                if (derivedFlags) {
+                    foundry.utils.mergeObject(data.flags['pf2e-vision-config'], derivedFlags);
+                }
             }
 
             // Calculate and apply vision ranges for new token
             const visionFlags = data.flags['pf2e-vision-config'];
             if (visionFlags) {
-                const totalVision = this.calculateTotalVision(
-                    visionFlags.daylightVisionFeet || 0,
-                    visionFlags.daylightVisionMiles || 0
-                );
-                const visionRanges = this.calculateVisionRanges(totalVision, visionFlags.visionType || 'normal');
-                
-                // Set vision in the data object
-                data.vision = foundry.utils.mergeObject(data.vision || {}, {
-                    range: visionRanges.range,
-                    darkness: foundry.utils.mergeObject(data.vision?.darkness || {}, {
-                        range: visionRanges.darknessRange
-                    })
+                // Ranges are written in the units of the scene the token is created in
+                const vision = this.computeTokenVision(tokenDocument, visionFlags);
+                const visionData = vision
+                    ? this.buildVisionData(vision.visionRanges, data.sight, data.detectionModes ?? tokenDocument.detectionModes)
+                    : {};
+
+                // A history copied from a prototype or another token describes that one, not the new token
+                delete visionFlags.history;
+
+                // The document is already constructed from data, so changes go through its source
+                tokenDocument.updateSource({
+                    flags: { 'pf2e-vision-config': { ...visionFlags, '-=history': null } },
+                    ...visionData
                 });
             }
         } catch (error) {
@@ -144,338 +580,3396 @@ class PF2EVisionConfig {
     }
 
     /**
-     * Add custom vision fields to token configuration
-     * @param {ApplicationV2|Application} app - The token configuration application
-     * @param {jQuery} html - The rendered HTML
-     * @param {object} data - The form data
+     * Add custom vision fields to the Vision tab of the token configuration
+     * Serves both TokenConfig and PrototypeTokenConfig; the fields save through the sheet's own submit
+     * @param {TokenConfig|PrototypeTokenConfig} app - The token configuration application
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {object} context - The render context
      */
-    onRenderTokenConfig(app, html, data) {
+    onRenderTokenConfig(app, html, context) {
         try {
-            const tokenDocument = app.object;
+            // The prototype token sheet edits the actor, so the token is read from the sheet
+            const tokenDocument = app.token;
             if (!tokenDocument) {
                 console.warn('PF2E Vision Configuration: Token document not found');
                 return;
             }
 
-            // Find a good place to insert our section - look for vision-related fields
-            const form = html.find('form').first();
-            if (!form.length) {
-                console.warn('PF2E Vision Configuration: Form not found in token config');
+            // Partial re-renders keep the section if the vision tab wasn't replaced
+            const visionTab = html.querySelector('.tab[data-tab="vision"]');
+            if (!visionTab) {
+                console.warn('PF2E Vision Configuration: Vision tab not found in token config');
                 return;
             }
-
-            // Try to find vision-related sections, or insert at end of form
-            let insertTarget = null;
-            
-            // Look for vision-related labels or fields
-            const visionLabels = form.find('label:contains("Vision"), label:contains("vision"), label:contains("Sight")');
-            if (visionLabels.length > 0) {
-                insertTarget = visionLabels.first().closest('.form-group, .form-section').parent();
-            }
-            
-            // If not found, look for token config sections
-            if (!insertTarget || insertTarget.length === 0) {
-                const sections = form.find('.form-section, .tab.active > .form-group').last();
-                insertTarget = sections.length > 0 ? sections : form.find('.form-group').last();
-            }
-            
-            // Fallback to form itself
-            if (!insertTarget || insertTarget.length === 0) {
-                insertTarget = form;
-            }
+            if (visionTab.querySelector('.pf2e-vision-config-section')) return;
 
             // Get current values from token document
-            const currentFeet = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionFeet') ?? 0;
-            const currentMiles = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionMiles') ?? 0;
-            const currentType = tokenDocument.getFlag('pf2e-vision-config', 'visionType') ?? 'normal';
+            const visionFlags = tokenDocument.flags?.['pf2e-vision-config'] ?? {};
+            const currentFeet = visionFlags.daylightVisionFeet ?? 0;
+            const currentMiles = visionFlags.daylightVisionMiles ?? 0;
+            const units = this.getTokenUnits(visionFlags);
+            const currentSenses = this.getTokenSenses(visionFlags);
+            const currentLock = visionFlags.lockVision ?? false;
+            const autoSenses = game.settings.get('pf2e-vision-config', 'autoDeriveSenses');
 
             // Escape values for HTML safety
             const safeFeet = this.escapeHtml(String(currentFeet));
             const safeMiles = this.escapeHtml(String(currentMiles));
-            const safeType = this.escapeHtml(String(currentType));
-            const totalVision = this.calculateTotalVision(currentFeet, currentMiles);
+            const scene = this.getTokenScene(tokenDocument);
+            const horizonMode = HORIZON_MODES.includes(visionFlags.horizonMode) ? visionFlags.horizonMode : 'off';
+            const daylight = this.calculateDaylightVision(visionFlags, scene, tokenDocument.elevation);
+            const totalVision = daylight.totalVision;
+            const conditions = this.getSceneConditions(scene);
+            const rules = this.getSceneRules(scene);
+            const overrideLines = this.describeVisionOverrides(this.getVisionOverrides(tokenDocument.actor));
+            const history = this.getVisionHistory(tokenDocument);
+            const effectiveVision = this.calculateEffectiveDaylight(totalVision, conditions, rules);
 
             // Create custom vision section HTML
-            const customVisionHTML = $(`
-                <div class="form-group pf2e-vision-config-section">
-                    <h3 class="form-header">${game.i18n.localize('PF2E_VISION_CONFIG.MODULE_NAME')}</h3>
+            const customVisionHTML = `
+                <fieldset class="pf2e-vision-config-section">
+                    <legend>${game.i18n.localize('PF2E_VISION_CONFIG.MODULE_NAME')}</legend>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.PRESET')}</label>
+                        <select class="pf2e-vision-preset-select">
+                            <option value="">${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.CHOOSE')}</option>
+                            ${this.getPresets().map(preset => `<option value="${this.escapeHtml(preset.id)}">${this.escapeHtml(preset.name)}</option>`).join('')}
+                        </select>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.PRESET_HINT')}</p>
+                    </div>
                     <div class="form-group">
                         <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_FEET')}</label>
-                        <input type="number" 
-                               name="flags.pf2e-vision-config.daylightVisionFeet" 
-                               value="${safeFeet}" 
-                               min="0" 
-                               step="1"
-                               data-dtype="Number" />
+                        <div class="pf2e-vision-distance">
+                            <input type="number" 
+                                   name="flags.pf2e-vision-config.daylightVisionFeet" 
+                                   value="${safeFeet}" 
+                                   min="0" 
+                                   step="1"
+                                   data-dtype="Number" />
+                            <select name="flags.pf2e-vision-config.nearUnit" data-dtype="String">
+                                ${this.renderUnitOptions(['ft', 'm'], units.near)}
+                            </select>
+                        </div>
                         <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_FEET_HINT')}</p>
                     </div>
                     <div class="form-group">
                         <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_MILES')}</label>
-                        <input type="number" 
-                               name="flags.pf2e-vision-config.daylightVisionMiles" 
-                               value="${safeMiles}" 
-                               min="0" 
-                               step="0.1"
-                               data-dtype="Number" />
+                        <div class="pf2e-vision-distance">
+                            <input type="number" 
+                                   name="flags.pf2e-vision-config.daylightVisionMiles" 
+                                   value="${safeMiles}" 
+                                   min="0" 
+                                   step="0.1"
+                                   data-dtype="Number" />
+                            <select name="flags.pf2e-vision-config.farUnit" data-dtype="String">
+                                ${this.renderUnitOptions(['mi', 'km'], units.far)}
+                            </select>
+                        </div>
                         <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_MILES_HINT')}</p>
                     </div>
                     <div class="form-group">
-                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPE')}</label>
-                        <select name="flags.pf2e-vision-config.visionType" data-dtype="String">
-                            <option value="normal" ${currentType === 'normal' ? 'selected' : ''}>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.NORMAL')}</option>
-                            <option value="low-light" ${currentType === 'low-light' ? 'selected' : ''}>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.LOW_LIGHT')}</option>
-                            <option value="darkvision" ${currentType === 'darkvision' ? 'selected' : ''}>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.DARKVISION')}</option>
-                            <option value="blindsight" ${currentType === 'blindsight' ? 'selected' : ''}>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.BLINDSIGHT')}</option>
-                            <option value="tremorsense" ${currentType === 'tremorsense' ? 'selected' : ''}>${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPES.TREMORSENSE')}</option>
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.HORIZON_MODE')}</label>
+                        <select name="flags.pf2e-vision-config.horizonMode" data-dtype="String">
+                            ${HORIZON_MODES.map(mode => `<option value="${mode}" ${mode === horizonMode ? 'selected' : ''}>${game.i18n.localize(`PF2E_VISION_CONFIG.HORIZON_MODES.${mode.toUpperCase()}`)}</option>`).join('')}
                         </select>
-                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.VISION_TYPE_HINT')}</p>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.HORIZON_MODE_HINT')}</p>
+                    </div>
+                    <div class="form-group pf2e-vision-senses">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.SENSES')}</label>
+                        <div class="pf2e-vision-sense-list" data-prefix="flags.pf2e-vision-config.senses">
+                            ${currentSenses.map((sense, index) => this.renderSenseRow(sense, index)).join('')}
+                        </div>
+                        <button type="button" class="pf2e-vision-add-sense">
+                            <i class="fas fa-plus"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.ADD_SENSE')}
+                        </button>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SENSES_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.LOCK_VISION')}</label>
+                        <input type="checkbox" 
+                               name="flags.pf2e-vision-config.lockVision" 
+                               data-dtype="Boolean" 
+                               ${currentLock ? 'checked' : ''} />
+                        <p class="notes">${game.i18n.localize(autoSenses ? 'PF2E_VISION_CONFIG.LOCK_VISION_HINT' : 'PF2E_VISION_CONFIG.LOCK_VISION_DISABLED_HINT')}</p>
                     </div>
                     <div class="form-group">
                         <label>${game.i18n.localize('PF2E_VISION_CONFIG.TOTAL_VISION_RANGE')}</label>
                         <input type="text" 
                                class="pf2e-vision-total-range" 
                                readonly 
-                               value="${totalVision} ${game.i18n.localize('PF2E_VISION_CONFIG.UNITS.FEET')}" />
-                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.TOTAL_VISION_RANGE_HINT')}</p>
+                               value="${this.escapeHtml(this.formatDistance(totalVision, units.near, scene))}" />
+                        <p class="notes pf2e-vision-total-derivation">${this.escapeHtml(this.describeDaylightVision(daylight, units))}</p>
                     </div>
-                </div>
-            `);
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.EFFECTIVE_VISION_RANGE')}</label>
+                        <input type="text" 
+                               class="pf2e-vision-effective-range" 
+                               readonly 
+                               value="${this.escapeHtml(this.formatDistance(effectiveVision, units.near, scene))}" />
+                        <p class="notes">${this.escapeHtml(this.describeSceneConditions(conditions, rules))}</p>
+                    </div>
+                    ${overrideLines.length ? `
+                    <div class="form-group pf2e-vision-overrides">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.OVERRIDES.TITLE')}</label>
+                        <ul>${overrideLines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}</ul>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.OVERRIDES.HINT')}</p>
+                    </div>` : ''}
+                    ${history.length ? `
+                    <div class="form-group pf2e-vision-history">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.HISTORY.TITLE')}</label>
+                        <ol>${history.map((entry, index) => this.renderHistoryEntry(entry, index, scene)).join('')}</ol>
+                        <p class="notes">${game.i18n.format('PF2E_VISION_CONFIG.HISTORY.HINT', { limit: HISTORY_LIMIT })}</p>
+                    </div>` : ''}
+                </fieldset>
+            `;
 
-            // Insert the custom section
-            if (insertTarget.length > 0) {
-                insertTarget.after(customVisionHTML);
-            } else {
-                form.append(customVisionHTML);
-            }
+            // The section closes the Vision tab, after the core sight settings
+            visionTab.insertAdjacentHTML('beforeend', customVisionHTML);
+            const section = visionTab.querySelector('.pf2e-vision-config-section');
 
             // Add event listeners for real-time calculation updates
-            this.addCalculationListeners(html);
+            this.addCalculationListeners(section, conditions, scene, tokenDocument.elevation, rules);
+            this.addSenseListeners(section);
+            this.addPresetListeners(section);
+            this.addHistoryListeners(section, tokenDocument);
         } catch (error) {
             console.error('PF2E Vision Configuration: Error rendering token config', error);
         }
     }
 
     /**
-     * Add event listeners for real-time vision calculation updates
-     * @param {jQuery} html - The rendered HTML
+     * Build the list item of one vision history entry
+     * @param {object} entry - The entry, see recordVisionHistory
+     * @param {number} index - The entry's index, newest first
+     * @param {Scene|null} scene - The token's scene, for the units of the recorded ranges
+     * @returns {string} The list item HTML
      */
-    addCalculationListeners(html) {
-        try {
-            const feetInput = html.find('input[name="flags.pf2e-vision-config.daylightVisionFeet"]');
-            const milesInput = html.find('input[name="flags.pf2e-vision-config.daylightVisionMiles"]');
-            const totalDisplay = html.find('input.pf2e-vision-total-range');
+    renderHistoryEntry(entry, index, scene) {
+        const source = HISTORY_SOURCES.includes(entry.source) ? entry.source : 'manual';
+        const data = {
+            time: new Date(entry.timestamp).toLocaleString(game.i18n.lang),
+            user: game.users.get(entry.userId)?.name ?? entry.userName ?? '?',
+            source: game.i18n.localize(`PF2E_VISION_CONFIG.HISTORY.SOURCES.${source.toUpperCase()}`),
+            range: entry.range === null ? game.i18n.localize('PF2E_VISION_CONFIG.UNLIMITED_RANGE') : entry.range ?? '?',
+            units: entry.range === null ? '' : scene?.grid?.units ?? ''
+        };
+        return `
+            <li>
+                <div class="pf2e-vision-history-header">
+                    <span>${this.escapeHtml(game.i18n.format('PF2E_VISION_CONFIG.HISTORY.ENTRY', data))}</span>
+                    <button type="button" class="pf2e-vision-history-revert" data-index="${index}" 
+                            data-tooltip="${game.i18n.localize('PF2E_VISION_CONFIG.HISTORY.REVERT_HINT')}">
+                        <i class="fas fa-undo"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.HISTORY.REVERT')}
+                    </button>
+                </div>
+                <p class="notes">${this.escapeHtml(this.summarizeVision(entry.flags))}</p>
+                <p class="notes">${this.escapeHtml(game.i18n.format('PF2E_VISION_CONFIG.HISTORY.RANGES', data))}</p>
+            </li>
+        `;
+    }
 
-            if (!feetInput.length || !milesInput.length || !totalDisplay.length) {
-                return; // Elements not found, skip listener setup
+    /**
+     * Add event listeners for reverting to history entries
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {TokenDocument|PrototypeToken} tokenDocument - The token the config is for
+     */
+    addHistoryListeners(html, tokenDocument) {
+        try {
+            for (const button of html.querySelectorAll('.pf2e-vision-history-revert')) {
+                button.addEventListener('click', async event => {
+                    event.currentTarget.disabled = true;
+                    await this.revertVision(tokenDocument, Number(event.currentTarget.dataset.index));
+                });
             }
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error adding history listeners', error);
+        }
+    }
 
-            const updateTotal = () => {
-                try {
-                    const feet = parseInt(feetInput.val()) || 0;
-                    const miles = parseFloat(milesInput.val()) || 0;
-                    const total = this.calculateTotalVision(feet, miles);
-                    totalDisplay.val(`${total} ${game.i18n.localize('PF2E_VISION_CONFIG.UNITS.FEET')}`);
-                } catch (error) {
-                    console.error('PF2E Vision Configuration: Error updating total vision', error);
-                }
-            };
-
-            feetInput.on('input change', updateTotal);
-            milesInput.on('input change', updateTotal);
+    /**
+     * Add event listeners for filling the form from a preset
+     * @param {HTMLElement} html - The rendered HTML
+     */
+    addPresetListeners(html) {
+        try {
+            html.querySelector('.pf2e-vision-preset-select')?.addEventListener('change', event => {
+                const preset = this.findPreset(event.currentTarget.value);
+                if (preset) this.applyPresetToForm(html, preset);
+            });
         } catch (error) {
-            console.error('PF2E Vision Configuration: Error adding calculation listeners', error);
+            console.error('PF2E Vision Configuration: Error adding preset listeners', error);
         }
     }
 
     /**
-     * Calculate total vision in feet
-     * @param {number} feet - Vision distance in feet
-     * @param {number} miles - Vision distance in miles
-     * @returns {number} Total vision in feet
+     * Fill the token config fields from a preset; nothing is saved until the form is submitted
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {object} preset - The preset to apply, see normalizePreset
      */
-    calculateTotalVision(feet, miles) {
-        const feetValue = Number(feet) || 0;
-        const milesValue = Number(miles) || 0;
-        return Math.round(feetValue + (milesValue * 5280));
+    applyPresetToForm(html, preset) {
+        const flags = preset.flags;
+        const fields = {
+            daylightVisionFeet: flags.daylightVisionFeet,
+            daylightVisionMiles: flags.daylightVisionMiles,
+            nearUnit: flags.nearUnit,
+            farUnit: flags.farUnit
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            const field = html.querySelector(`[name="flags.pf2e-vision-config.${key}"]`);
+            if (field) field.value = value;
+        }
+
+        const senseList = html.querySelector('.pf2e-vision-sense-list');
+        senseList.innerHTML = flags.senses.map((sense, index) => this.renderSenseRow(sense, index, senseList.dataset.prefix)).join('');
+        this.renumberSenseRows(senseList);
+
+        // A preset is a manual choice, keep auto mode from overwriting it
+        const lockInput = html.querySelector('input[name="flags.pf2e-vision-config.lockVision"]');
+        if (lockInput && game.settings.get('pf2e-vision-config', 'autoDeriveSenses')) {
+            lockInput.checked = true;
+        }
+
+        // Let the sheet and the range displays pick up the new values
+        html.querySelector('[name="flags.pf2e-vision-config.farUnit"]')?.dispatchEvent(new Event('change', { bubbles: true }));
     }
 
     /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Build the form row for a single sense
+     * @param {object} sense - The sense as { type, range, acuity, unlimited }
+     * @param {number} index - Position of the sense in the token's list
+     * @param {string} [namePrefix] - Field name of the sense list
+     * @returns {string} The row HTML
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    renderSenseRow(sense, index, namePrefix = 'flags.pf2e-vision-config.senses') {
+        const prefix = `${namePrefix}.${index}`;
+        const typeOptions = Object.entries(this.getVisionTypeChoices())
+            .map(([type, label]) => `<option value="${type}" ${sense.type === type ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+            .join('');
+        const acuityOptions = SENSE_ACUITIES
+            .map(acuity => `<option value="${acuity}" ${sense.acuity === acuity ? 'selected' : ''}>${game.i18n.localize(`PF2E_VISION_CONFIG.ACUITIES.${acuity.toUpperCase()}`)}</option>`)
+            .join('');
+
+        return `
+            <div class="pf2e-vision-sense-row">
+                <select name="${prefix}.type" data-field="type" data-dtype="String">${typeOptions}</select>
+                <input type="number" 
+                       name="${prefix}.range" 
+                       data-field="range" 
+                       value="${this.escapeHtml(String(sense.range || ''))}" 
+                       min="0" 
+                       step="1" 
+                       placeholder="${game.i18n.localize('PF2E_VISION_CONFIG.SENSE_RANGE_PLACEHOLDER')}" 
+                       data-dtype="Number"
+                       ${sense.unlimited ? 'disabled' : ''} />
+                <label class="pf2e-vision-sense-unlimited" data-tooltip="${game.i18n.localize('PF2E_VISION_CONFIG.SENSE_UNLIMITED_HINT')}">
+                    <input type="checkbox" name="${prefix}.unlimited" data-field="unlimited" data-dtype="Boolean" ${sense.unlimited ? 'checked' : ''} />
+                    ${game.i18n.localize('PF2E_VISION_CONFIG.SENSE_UNLIMITED')}
+                </label>
+                <select name="${prefix}.acuity" data-field="acuity" data-dtype="String">${acuityOptions}</select>
+                <button type="button" class="pf2e-vision-remove-sense" data-tooltip="${game.i18n.localize('PF2E_VISION_CONFIG.REMOVE_SENSE')}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
     }
 
     /**
-     * Handle token config form close - ensures vision is calculated before form submission
-     * @param {ApplicationV2|Application} app - The token configuration application
-     * @param {jQuery} html - The rendered HTML
+     * Get the vision types offered in forms
+     * @returns {Object<string, string>} Localized labels keyed by vision type
      */
-    onCloseTokenConfig(app, html) {
-        // This hook runs before the form is submitted
-        // The actual update will happen in onPreUpdateToken
+    getVisionTypeChoices() {
+        return Object.fromEntries(Array.from(this.visionTypes, ([type, definition]) => [type, game.i18n.localize(definition.label)]));
     }
 
     /**
-     * Handle token updates to apply custom vision settings
-     * @param {foundry.documents.BaseToken} tokenDocument - The token document being updated
-     * @param {object} changes - The update data
-     * @param {object} options - Additional options
-     * @param {string} userId - The user ID making the update
+     * Add event listeners for adding and removing sense rows
+     * Each sense list names its fields after its data-prefix attribute
+     * @param {HTMLElement} html - The rendered HTML
      */
-    onPreUpdateToken(tokenDocument, changes, options, userId) {
+    addSenseListeners(html) {
         try {
-            // Check if token has our flags (either existing or being set)
-            const hasFlags = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionFeet') !== null ||
-                            tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionMiles') !== null ||
-                            changes.flags?.['pf2e-vision-config'];
-            
-            if (!hasFlags) {
-                return; // Token doesn't use our vision system
-            }
-
-            // Get vision flags from changes or current document
-            const visionFlags = changes.flags?.['pf2e-vision-config'] || {};
-            
-            // Get values (new from changes, or current from document)
-            const newFeet = visionFlags.daylightVisionFeet !== undefined
-                ? Number(visionFlags.daylightVisionFeet) || 0
-                : (tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionFeet') ?? 0);
-            
-            const newMiles = visionFlags.daylightVisionMiles !== undefined
-                ? Number(visionFlags.daylightVisionMiles) || 0
-                : (tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionMiles') ?? 0);
-            
-            // Calculate total daylight vision in feet
-            const totalDaylightVision = this.calculateTotalVision(newFeet, newMiles);
+            for (const senseList of html.querySelectorAll('.pf2e-vision-sense-list')) {
+                const addButton = senseList.parentElement.querySelector(':scope > .pf2e-vision-add-sense');
+                addButton?.addEventListener('click', () => {
+                    const index = senseList.querySelectorAll(':scope > .pf2e-vision-sense-row').length;
+                    senseList.insertAdjacentHTML('beforeend', this.renderSenseRow(this.normalizeSense({ type: 'normal' }), index, senseList.dataset.prefix));
+                    this.renumberSenseRows(senseList);
+                });
 
-            // Get vision type (new from changes, or current from document)
-            const visionType = visionFlags.visionType !== undefined
-                ? visionFlags.visionType
-                : (tokenDocument.getFlag('pf2e-vision-config', 'visionType') ?? 'normal');
+                senseList.addEventListener('click', event => {
+                    const removeButton = event.target.closest('.pf2e-vision-remove-sense');
+                    if (!removeButton) return;
+                    removeButton.closest('.pf2e-vision-sense-row').remove();
+                    this.renumberSenseRows(senseList);
+                });
 
-            // Calculate vision ranges based on type
-            const visionRanges = this.calculateVisionRanges(totalDaylightVision, visionType);
-            
-            // Always update vision when our flags exist or are being updated
-            changes.vision = foundry.utils.mergeObject(changes.vision || {}, {
-                range: visionRanges.range,
-                darkness: foundry.utils.mergeObject(changes.vision?.darkness || {}, {
-                    range: visionRanges.darknessRange
-                })
-            });
+                // Unlimited senses have no range to enter
+                senseList.addEventListener('change', event => {
+                    if (event.target.dataset.field !== 'unlimited') return;
+                    const rangeInput = event.target.closest('.pf2e-vision-sense-row').querySelector('[data-field="range"]');
+                    rangeInput.disabled = event.target.checked;
+                });
 
-            console.log(`PF2E Vision Config: Applied vision - Type: ${visionType}, Range: ${visionRanges.range}, Darkness: ${visionRanges.darknessRange}, Total: ${totalDaylightVision}ft`);
+                this.renumberSenseRows(senseList);
+            }
         } catch (error) {
-            console.error('PF2E Vision Configuration: Error updating token vision', error);
+            console.error('PF2E Vision Configuration: Error adding sense listeners', error);
         }
     }
 
     /**
-     * Handle token updates after save to ensure vision is properly applied
-     * @param {foundry.documents.BaseToken} tokenDocument - The token document that was updated
-     * @param {object} changes - The update data that was applied
-     * @param {object} options - Additional options
-     * @param {string} userId - The user ID that made the update
+     * Field names carry the row index, so keep them contiguous after rows are added or removed
+     * @param {HTMLElement} senseList - The sense list element
      */
-    async onUpdateToken(tokenDocument, changes, options, userId) {
+    renumberSenseRows(senseList) {
+        const prefix = senseList.dataset.prefix;
+        const rows = senseList.querySelectorAll(':scope > .pf2e-vision-sense-row');
+        rows.forEach((row, index) => {
+            for (const field of row.querySelectorAll('[data-field]')) {
+                field.name = `${prefix}.${index}.${field.dataset.field}`;
+            }
+            // A token always keeps at least one sense
+            row.querySelector('.pf2e-vision-remove-sense').disabled = rows.length <= 1;
+        });
+    }
+
+    /**
+     * Add event listeners for real-time vision calculation updates
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {object} conditions - Scene conditions of the token's scene, see getSceneConditions
+     * @param {Scene|null} scene - The token's scene, used to show ranges in its units
+     * @param {number} [elevation] - The token's elevation in scene units, for horizon mode
+     * @param {object|null} [rules] - Scene vision rules of the token's scene, see getSceneRules
+     */
+    addCalculationListeners(html, conditions, scene, elevation = 0, rules = null) {
         try {
-            // Check if token has our flags
-            const hasFlags = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionFeet') !== null ||
-                            tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionMiles') !== null;
-            
-            if (!hasFlags) {
-                return; // Token doesn't use our vision system
+            const feetInput = html.querySelector('input[name="flags.pf2e-vision-config.daylightVisionFeet"]');
+            const milesInput = html.querySelector('input[name="flags.pf2e-vision-config.daylightVisionMiles"]');
+            const nearUnitSelect = html.querySelector('select[name="flags.pf2e-vision-config.nearUnit"]');
+            const farUnitSelect = html.querySelector('select[name="flags.pf2e-vision-config.farUnit"]');
+            const horizonSelect = html.querySelector('select[name="flags.pf2e-vision-config.horizonMode"]');
+            const totalDisplay = html.querySelector('input.pf2e-vision-total-range');
+            const derivationDisplay = html.querySelector('.pf2e-vision-total-derivation');
+            // The token sheet's own elevation field moves the horizon before it is saved
+            const elevationInput = html.closest('form')?.querySelector('input[name="elevation"]');
+            const effectiveDisplay = html.querySelector('input.pf2e-vision-effective-range');
+
+            if (!feetInput || !milesInput || !totalDisplay) {
+                return; // Elements not found, skip listener setup
             }
 
-            // Get current vision values
-            const feet = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionFeet') ?? 0;
-            const miles = tokenDocument.getFlag('pf2e-vision-config', 'daylightVisionMiles') ?? 0;
-            const visionType = tokenDocument.getFlag('pf2e-vision-config', 'visionType') ?? 'normal';
-            
-            // Calculate total vision and ranges
-            const totalVision = this.calculateTotalVision(feet, miles);
-            const visionRanges = this.calculateVisionRanges(totalVision, visionType);
-            
-            // Get current vision settings
-            const currentRange = tokenDocument.vision?.range ?? 0;
-            const currentDarknessRange = tokenDocument.vision?.darkness?.range ?? 0;
-            
-            // If vision doesn't match our calculated values, update it
-            if (currentRange !== visionRanges.range || currentDarknessRange !== visionRanges.darknessRange) {
-                await tokenDocument.update({
-                    'vision.range': visionRanges.range,
-                    'vision.darkness.range': visionRanges.darknessRange
-                });
-                console.log(`PF2E Vision Config: Corrected vision after update - Range: ${visionRanges.range}, Darkness: ${visionRanges.darknessRange}`);
+            const updateTotal = () => {
+                try {
+                    const formFlags = {
+                        daylightVisionFeet: parseFloat(feetInput.value) || 0,
+                        daylightVisionMiles: parseFloat(milesInput.value) || 0,
+                        nearUnit: nearUnitSelect?.value,
+                        farUnit: farUnitSelect?.value,
+                        horizonMode: horizonSelect?.value
+                    };
+                    const units = this.getTokenUnits(formFlags);
+                    const formElevation = elevationInput ? parseFloat(elevationInput.value) || 0 : elevation;
+                    const daylight = this.calculateDaylightVision(formFlags, scene, formElevation);
+                    const total = daylight.totalVision;
+                    totalDisplay.value = this.formatDistance(total, units.near, scene);
+                    if (derivationDisplay) derivationDisplay.textContent = this.describeDaylightVision(daylight, units);
+                    if (effectiveDisplay) {
+                        effectiveDisplay.value = this.formatDistance(this.calculateEffectiveDaylight(total, conditions, rules), units.near, scene);
+                    }
+                } catch (error) {
+                    console.error('PF2E Vision Configuration: Error updating total vision', error);
+                }
+            };
+
+            for (const input of [feetInput, milesInput]) {
+                input.addEventListener('input', updateTotal);
+                input.addEventListener('change', updateTotal);
             }
+            nearUnitSelect?.addEventListener('change', updateTotal);
+            farUnitSelect?.addEventListener('change', updateTotal);
+            horizonSelect?.addEventListener('change', updateTotal);
+            elevationInput?.addEventListener('change', updateTotal);
         } catch (error) {
-            console.error('PF2E Vision Configuration: Error in post-update vision check', error);
+            console.error('PF2E Vision Configuration: Error adding calculation listeners', error);
         }
     }
 
     /**
-     * Calculate vision ranges based on type and total vision
-     * @param {number} totalVision - Total vision distance in feet
-     * @param {string} visionType - Type of vision
-     * @returns {object} Object with range and darknessRange properties
+     * Calculate total vision in feet
+     * @param {number} feet - Near vision distance, in feet unless units say otherwise
+     * @param {number} miles - Far vision distance, in miles unless units say otherwise
+     * @param {object} [units] - Units of the two distances as { near, far }, see getTokenUnits
+     * @returns {number} Total vision in feet
      */
-    calculateVisionRanges(totalVision, visionType) {
-        const totalVisionValue = Number(totalVision) || 0;
-        let range = 0;
-        let darknessRange = 0;
-
-        switch (visionType) {
-            case 'normal':
-                // Normal vision works in light - use exact range specified
-                range = totalVisionValue;
-                darknessRange = 0;
-                break;
-            case 'low-light':
-                // Low-light vision doubles range in dim light
-                range = totalVisionValue * 2;
-                darknessRange = 0;
-                break;
-            case 'darkvision':
-                // Darkvision works in darkness - use exact range specified
-                range = 0;
-                darknessRange = totalVisionValue;
-                break;
-            case 'blindsight':
-                // Blindsight works in darkness - use exact range specified
-                range = 0;
-                darknessRange = totalVisionValue;
-                break;
-            case 'tremorsense':
-                // Tremorsense has limited range but works in darkness
-                range = 0;
-                darknessRange = totalVisionValue;
-                break;
-            default:
-                // Default to normal vision - use exact range specified
-                range = totalVisionValue;
-                darknessRange = 0;
-        }
-
-        return { 
-            range: Math.round(range), 
-            darknessRange: Math.round(darknessRange) 
-        };
+    calculateTotalVision(feet, miles, units = {}) {
+        const feetValue = this.convertDistance(Number(feet) || 0, units.near ?? 'ft', 'ft');
+        const milesValue = this.convertDistance(Number(miles) || 0, units.far ?? 'mi', 'ft');
+        return Math.round(feetValue + milesValue);
     }
 
-}
+    /**
+     * Calculate a token's daylight vision, following its height above the ground in horizon mode
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @param {Scene|null} scene - The token's scene, which sets the ground elevation
+     * @param {number} [elevation] - The token's elevation in scene units
+     * @returns {object} Object with totalVision (feet), baseVision (the daylight distances, in feet) and
+     *                   horizon ({ mode, height, distance } in feet, or null outside horizon mode) properties
+     */
+    calculateDaylightVision(visionFlags = {}, scene = null, elevation = 0) {
+        const baseVision = this.calculateTotalVision(
+            visionFlags?.daylightVisionFeet || 0,
+            visionFlags?.daylightVisionMiles || 0,
+            this.getTokenUnits(visionFlags)
+        );
 
-// Create module instance
-const pf2eVisionConfig = new PF2EVisionConfig();
+        const mode = HORIZON_MODES.includes(visionFlags?.horizonMode) ? visionFlags.horizonMode : 'off';
+        if (mode === 'off') return { totalVision: baseVision, baseVision, horizon: null };
 
-// Register settings during init hook (when game object becomes available)
+        // Elevation and ground are in scene units, a token below the ground still sees from eye height
+        const groundElevation = Number(scene?.getFlag('pf2e-vision-config', 'groundElevation')) || 0;
+        const heightAboveGround = Math.max(0, (Number(elevation) || 0) - groundElevation) * this.getSceneUnitFeet(scene);
+        const height = Math.round(heightAboveGround + EYE_HEIGHT_FEET);
+        const distance = Math.round(this.calculateHorizonDistance(height));
+
+        let totalVision = distance;
+        if (mode === 'bonus') {
+            totalVision = distance + baseVision;
+        } else if (baseVision > 0) {
+            totalVision = Math.min(distance, baseVision);
+        }
+        return { totalVision, baseVision, horizon: { mode, height, distance } };
+    }
+
+    /**
+     * Calculate how far away the horizon is for a viewer above the ground
+     * @param {number} height - Height of the viewer's eyes in feet
+     * @returns {number} Distance to the horizon in feet
+     */
+    calculateHorizonDistance(height) {
+        const h = Math.max(0, Number(height) || 0);
+        return Math.sqrt(2 * PLANET_RADIUS_FEET * h + h * h);
+    }
+
+    /**
+     * Explain how a token's total daylight range was arrived at
+     * @param {object} daylight - Result of calculateDaylightVision
+     * @param {object} units - The token's units as { near, far }
+     * @returns {string} The localized explanation
+     */
+    describeDaylightVision(daylight, units) {
+        if (!daylight.horizon) return game.i18n.localize('PF2E_VISION_CONFIG.TOTAL_VISION_RANGE_HINT');
+
+        const { mode, height, distance } = daylight.horizon;
+        const data = {
+            horizon: this.formatDistance(distance, units.far),
+            height: this.formatDistance(height, units.near),
+            base: this.formatDistance(daylight.baseVision, this.getDisplayUnit(daylight.baseVision, units))
+        };
+        if (mode === 'bonus') return game.i18n.format('PF2E_VISION_CONFIG.HORIZON_DERIVATION.BONUS', data);
+        if (daylight.baseVision > 0) return game.i18n.format('PF2E_VISION_CONFIG.HORIZON_DERIVATION.CAP', data);
+        return game.i18n.format('PF2E_VISION_CONFIG.HORIZON_DERIVATION.HORIZON', data);
+    }
+
+    /**
+     * Convert a distance between units
+     * @param {number} distance - The distance to convert
+     * @param {string} fromUnit - A DISTANCE_UNITS key
+     * @param {string} toUnit - A DISTANCE_UNITS key
+     * @returns {number} The converted distance
+     */
+    convertDistance(distance, fromUnit, toUnit) {
+        const fromFeet = DISTANCE_UNITS[fromUnit] ?? 1;
+        const toFeet = DISTANCE_UNITS[toUnit] ?? 1;
+        return (Number(distance) || 0) * fromFeet / toFeet;
+    }
+
+    /**
+     * Read the units a token's vision distances are entered in
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {object} Units as { near, far }, feet and miles for tokens saved without units
+     */
+    getTokenUnits(visionFlags = {}) {
+        return {
+            near: visionFlags?.nearUnit in DISTANCE_UNITS ? visionFlags.nearUnit : 'ft',
+            far: visionFlags?.farUnit in DISTANCE_UNITS ? visionFlags.farUnit : 'mi'
+        };
+    }
+
+    /**
+     * Get the length in feet of one distance unit of a scene
+     * Units that aren't a known length are read as grid squares of FEET_PER_SQUARE feet
+     * @param {Scene|null} scene - The scene, null for tokens that aren't placed
+     * @returns {number} Feet per scene unit
+     */
+    getSceneUnitFeet(scene) {
+        if (!scene) return 1;
+
+        const units = String(scene.grid?.units ?? scene.gridUnits ?? '').trim().toLowerCase();
+        const unit = GRID_UNIT_ALIASES[units];
+        if (unit) return DISTANCE_UNITS[unit];
+
+        const gridDistance = Number(scene.grid?.distance ?? scene.gridDistance) || 1;
+        return FEET_PER_SQUARE / gridDistance;
+    }
+
+    /**
+     * Convert ranges in feet to a scene's distance units
+     * @param {object} visionRanges - Result of calculateVisionRanges
+     * @param {Scene|null} scene - The scene the ranges are written to
+     * @returns {object} The same ranges in scene units, null for unlimited ones
+     */
+    convertRangesToScene(visionRanges, scene) {
+        const unitFeet = this.getSceneUnitFeet(scene);
+        // Keep two decimals so short ranges survive on scenes measured in miles or kilometers;
+        // tokens store unlimited ranges as null
+        const toScene = feet => Number.isFinite(feet) ? Math.round((feet / unitFeet) * 100) / 100 : null;
+
+        return {
+            range: toScene(visionRanges.range),
+            darknessRange: toScene(visionRanges.darknessRange),
+            detectionModes: visionRanges.detectionModes.map(mode => ({ ...mode, range: toScene(mode.range) }))
+        };
+    }
+
+    /**
+     * Format a distance in feet for display in a token's units, adding the scene's units if they differ
+     * @param {number} feet - The distance in feet, Infinity for unlimited
+     * @param {string} unit - The DISTANCE_UNITS key to show the distance in
+     * @param {Scene|null} [scene] - The token's scene
+     * @returns {string} The formatted distance
+     */
+    formatDistance(feet, unit, scene) {
+        if (!Number.isFinite(feet)) return game.i18n.localize('PF2E_VISION_CONFIG.UNLIMITED_RANGE');
+        const round = value => Math.round(value * 100) / 100;
+        const unitLabel = game.i18n.localize(`PF2E_VISION_CONFIG.UNITS.${unit.toUpperCase()}`);
+        const formatted = `${round(this.convertDistance(feet, 'ft', unit)).toLocaleString()} ${unitLabel}`;
+
+        const sceneUnits = scene?.grid?.units ?? scene?.gridUnits;
+        const sceneUnit = GRID_UNIT_ALIASES[String(sceneUnits ?? '').trim().toLowerCase()];
+        if (!scene || sceneUnit === unit) return formatted;
+
+        const sceneDistance = round(feet / this.getSceneUnitFeet(scene));
+        return `${formatted} (${sceneDistance.toLocaleString()} ${sceneUnits || game.i18n.localize('PF2E_VISION_CONFIG.UNITS.SCENE')})`;
+    }
+
+    /**
+     * Pick the unit a distance reads best in: the far unit once it is at least one of those
+     * @param {number} feet - The distance in feet
+     * @param {object} units - The token's units as { near, far }
+     * @returns {string} The DISTANCE_UNITS key
+     */
+    getDisplayUnit(feet, units) {
+        return feet < DISTANCE_UNITS[units.far] ? units.near : units.far;
+    }
+
+    /**
+     * Build the unit options of a distance field
+     * @param {string[]} unitKeys - DISTANCE_UNITS keys to offer
+     * @param {string} selected - The selected unit
+     * @returns {string} The options HTML
+     */
+    renderUnitOptions(unitKeys, selected) {
+        return unitKeys
+            .map(unit => `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${game.i18n.localize(`PF2E_VISION_CONFIG.UNITS.${unit.toUpperCase()}`)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Text content keeps quotes as they are, but the result also goes into attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Handle token updates to apply custom vision settings
+     * @param {foundry.documents.BaseToken} tokenDocument - The token document being updated
+     * @param {object} changes - The update data
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID making the update
+     */
+    onPreUpdateToken(tokenDocument, changes, options, userId) {
+        try {
+            // Corrections carry ranges that were already calculated
+            if (options[CORRECTION_OPTION]) {
+                if (options[HISTORY_SOURCE_OPTION]) {
+                    this.recordVisionHistory(tokenDocument, changes, changes.sight?.range, options, userId);
+                }
+                return;
+            }
+
+            // Only tokens that use our vision system, or are being opted in, get calculated vision
+            const hasFlags = this.isManagedToken(tokenDocument.flags?.['pf2e-vision-config']) ||
+                            this.isManagedToken(changes.flags?.['pf2e-vision-config']);
+            if (!hasFlags) return;
+
+            // Always update vision when our flags exist or are being updated
+            const vision = this.prepareVisionChanges(tokenDocument, changes, options, userId);
+            if (!vision) return;
+            const { totalVision: totalDaylightVision, senses, visionRanges } = vision;
+
+            console.log(`PF2E Vision Config: Applied vision - Senses: ${senses.map(sense => sense.type).join(', ')}, Range: ${visionRanges.range}, Darkness: ${visionRanges.darknessRange}, Total: ${totalDaylightVision}ft`);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error updating token vision', error);
+        }
+    }
+
+    /**
+     * Handle actor updates that change the vision flags of the prototype token
+     * The prototype token sheet saves through the actor, so onPreUpdateToken never sees these changes
+     * @param {Actor} actor - The actor being updated
+     * @param {object} changes - The update data
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID making the update
+     */
+    onPreUpdateActor(actor, changes, options, userId) {
+        try {
+            const prototypeChanges = changes.prototypeToken;
+            if (!this.isManagedToken(prototypeChanges?.flags?.['pf2e-vision-config']) || !actor.prototypeToken) return;
+
+            const vision = this.prepareVisionChanges(actor.prototypeToken, prototypeChanges, options, userId);
+            if (vision) {
+                console.log(`PF2E Vision Config: Applied prototype token vision for ${actor.name} - Range: ${vision.visionRanges.range}, Darkness: ${vision.visionRanges.darknessRange}`);
+            }
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error updating prototype token vision', error);
+        }
+    }
+
+    /**
+     * Calculate the vision a token update results in and write it into the update data
+     * Changes to the vision flags of a token that already used them are added to its history
+     * @param {TokenDocument|PrototypeToken} tokenDocument - The token being updated
+     * @param {object} changes - The token's update data, modified in place
+     * @param {object} [options] - The update options, naming the source of the change
+     * @param {string} [userId] - The user ID making the update
+     * @returns {object|null} The vision as returned by computeTokenVision, or null if it was vetoed
+     */
+    prepareVisionChanges(tokenDocument, changes, options = {}, userId = game.user.id) {
+        // Get vision flags from changes or current document
+        const visionFlags = changes.flags?.['pf2e-vision-config'] || {};
+
+        // Submitted senses replace the stored list as a whole, so removed rows don't linger
+        if (visionFlags.senses !== undefined) {
+            visionFlags.senses = this.getTokenSenses(visionFlags);
+        }
+        if (changes.flags?.['pf2e-vision-config']) {
+            visionFlags.schemaVersion = SCHEMA_VERSION;
+        }
+
+        // Get values (new from changes, or current from document)
+        const mergedFlags = {
+            ...tokenDocument.flags?.['pf2e-vision-config'],
+            ...visionFlags
+        };
+
+        // Calculate vision ranges for every sense, in the scene's units
+        // A pending move changes the horizon in horizon mode
+        const vision = this.computeTokenVision(tokenDocument, mergedFlags, changes.elevation ?? tokenDocument.elevation);
+        if (!vision) return null;
+
+        const visionData = this.buildVisionData(vision.visionRanges, changes.sight, changes.detectionModes ?? tokenDocument.detectionModes);
+        changes.sight = visionData.sight;
+        changes.detectionModes = visionData.detectionModes;
+
+        const currentFlags = tokenDocument.flags?.['pf2e-vision-config'];
+        if (this.isManagedToken(currentFlags) && this.hasVisionFlagChanges(currentFlags, mergedFlags)) {
+            this.recordVisionHistory(tokenDocument, changes, changes.sight.range, options, userId);
+        }
+        return vision;
+    }
+
+    /**
+     * Handle token updates after save to ensure vision is properly applied
+     * @param {foundry.documents.BaseToken} tokenDocument - The token document that was updated
+     * @param {object} changes - The update data that was applied
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID that made the update
+     */
+    async onUpdateToken(tokenDocument, changes, options, userId) {
+        try {
+            // Tokens that don't use our vision system are left alone
+            if (!this.isManagedToken(tokenDocument.flags?.['pf2e-vision-config'])) return;
+
+            if (changes.sight?.range !== undefined || changes.detectionModes !== undefined) {
+                /**
+                 * A hook event that fires on every client after vision calculated by the module was saved to a token.
+                 * @function pf2eVisionConfig.applied
+                 * @memberof hookEvents
+                 * @param {TokenDocument} tokenDocument   The token that was updated
+                 * @param {object} appliedVision          The written sight range and detectionModes, in scene units
+                 * @param {string} userId                 The user ID that made the update
+                 */
+                Hooks.callAll('pf2eVisionConfig.applied', tokenDocument, {
+                    range: changes.sight?.range,
+                    detectionModes: changes.detectionModes
+                }, userId);
+            }
+
+            // Range rings are local to each client
+            if (this.hasRangeRings(tokenDocument.id)) this.refreshRangeRings(tokenDocument);
+
+            // Everything below writes to the token, which only one client does
+            if (!this.isReconciler()) return;
+
+            // Releasing the lock hands the token back to the actor's senses
+            if (changes.flags?.['pf2e-vision-config']?.lockVision === false) {
+                await this.syncActorTokens(tokenDocument.actor, [tokenDocument]);
+            }
+
+            // Moving in an exploration scene reveals the hexes in sight
+            if ('x' in changes || 'y' in changes || 'elevation' in changes) {
+                this.queueExploration(tokenDocument);
+            }
+
+            // Our own corrections are never corrected again, which would loop with other vision modules
+            if (options[CORRECTION_OPTION]) return;
+
+            // If vision doesn't match our calculated values, correct it with the next batch
+            this.queueCorrection(tokenDocument);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error in post-update vision check', error);
+        }
+    }
+
+    /**
+     * Build the update options that name the source of a vision change
+     * @param {string} [source] - The HISTORY_SOURCES entry
+     * @returns {object} The options, empty without a source
+     */
+    getHistoryOptions(source) {
+        return source ? { [HISTORY_SOURCE_OPTION]: source } : {};
+    }
+
+    /**
+     * Read a token's vision history
+     * @param {TokenDocument|PrototypeToken} tokenDocument - The token
+     * @returns {object[]} Entries as { flags, range (sight range written, scene units), userId, userName, timestamp,
+     *                     source }, newest first
+     */
+    getVisionHistory(tokenDocument) {
+        const history = tokenDocument?.flags?.['pf2e-vision-config']?.history;
+        return Array.isArray(history) ? history.filter(entry => entry?.flags) : [];
+    }
+
+    /**
+     * Check whether an update changes a token's vision flags, ignoring how they are written down
+     * @param {object} currentFlags - The token's pf2e-vision-config flags
+     * @param {object} mergedFlags - The flags including pending changes
+     * @returns {boolean} True if the vision configuration changes
+     */
+    hasVisionFlagChanges(currentFlags, mergedFlags) {
+        const comparable = flags => {
+            const { schemaVersion, storedDaylight, ...visionFlags } = this.normalizeVisionFlags(flags);
+            return visionFlags;
+        };
+        return !foundry.utils.objectsEqual(comparable(currentFlags), comparable(mergedFlags));
+    }
+
+    /**
+     * Add the token's vision before an update to its history, dropping the oldest entries past HISTORY_LIMIT
+     * Nothing is added when the vision matches the latest entry, e.g. for repeated corrections
+     * @param {TokenDocument|PrototypeToken} tokenDocument - The token being updated
+     * @param {object} changes - The token's update data, modified in place
+     * @param {number|null} [range] - The sight range the update writes, in scene units and null for unlimited
+     * @param {object} options - The update options, naming the source of the change
+     * @param {string} userId - The user ID making the update
+     */
+    recordVisionHistory(tokenDocument, changes, range, options, userId) {
+        const { schemaVersion, storedDaylight, ...previousFlags } = this.normalizeVisionFlags(tokenDocument.flags?.['pf2e-vision-config'] ?? {});
+        const entry = {
+            flags: previousFlags,
+            range: range !== undefined ? range : (tokenDocument.sight?.range ?? 0),
+            userId,
+            userName: game.users.get(userId)?.name ?? '',
+            timestamp: Date.now(),
+            source: options?.[HISTORY_SOURCE_OPTION] ?? 'manual'
+        };
+
+        const history = this.getVisionHistory(tokenDocument);
+        const [latest] = history;
+        if (latest && latest.range === entry.range && foundry.utils.objectsEqual(latest.flags, entry.flags)) return;
+
+        foundry.utils.setProperty(changes, 'flags.pf2e-vision-config.history', [entry, ...history].slice(0, HISTORY_LIMIT));
+    }
+
+    /**
+     * Restore the vision flags of a history entry; the revert itself is recorded like any other change
+     * @param {TokenDocument|PrototypeToken} tokenDocument - The token
+     * @param {number} index - The entry's index, newest first
+     * @returns {Promise<TokenDocument|Actor|null>} The updated token, the actor for a prototype token, or null
+     */
+    async revertVision(tokenDocument, index) {
+        const entry = this.getVisionHistory(tokenDocument)[index];
+        if (!entry) return null;
+
+        try {
+            const visionFlags = { ...this.normalizeVisionFlags(entry.flags), '-=storedDaylight': null };
+            const options = this.getHistoryOptions('revert');
+            const result = tokenDocument instanceof foundry.data.PrototypeToken
+                ? await tokenDocument.parent.update(this.buildPrototypeVisionUpdate(tokenDocument.parent, visionFlags), options)
+                : await tokenDocument.update({ flags: { 'pf2e-vision-config': visionFlags } }, options);
+            ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.HISTORY.REVERTED', { name: tokenDocument.name }));
+            return result;
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error reverting token vision', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.HISTORY.REVERT_FAILED'));
+            return null;
+        }
+    }
+
+    /**
+     * Check whether this client writes the module's automatic changes
+     * Only the active GM does, so connected players neither duplicate writes nor hit permission errors
+     * @returns {boolean} True if this client is the active GM
+     */
+    isReconciler() {
+        return game.users.activeGM?.isSelf ?? false;
+    }
+
+    /**
+     * Queue a token for a vision check; queued tokens are corrected in one batch
+     * @param {foundry.documents.BaseToken} tokenDocument - The token to check
+     */
+    queueCorrection(tokenDocument) {
+        this.pendingCorrections.add(tokenDocument);
+        this.debouncedFlushCorrections();
+    }
+
+    /**
+     * Correct every queued token whose vision has drifted
+     */
+    async flushCorrections() {
+        const tokens = Array.from(this.pendingCorrections);
+        this.pendingCorrections.clear();
+        try {
+            await this.reconcileTokens(tokens, 'correction');
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error correcting token vision', error);
+        }
+    }
+
+    /**
+     * Update placed tokens with one write per scene
+     * @param {object[]} tokenUpdates - The updates as { tokenDocument, changes }
+     * @param {object} [options] - Options for every write
+     * @returns {Promise<Map<Scene, object[]>>} The update data written to each scene
+     */
+    async updateTokensByScene(tokenUpdates, options = {}) {
+        const updatesByScene = new Map();
+        for (const { tokenDocument, changes } of tokenUpdates) {
+            const sceneUpdates = updatesByScene.get(tokenDocument.parent) ?? [];
+            sceneUpdates.push({ _id: tokenDocument.id, ...changes });
+            updatesByScene.set(tokenDocument.parent, sceneUpdates);
+        }
+
+        for (const [scene, updates] of updatesByScene) {
+            await scene.updateEmbeddedDocuments('Token', updates, options);
+        }
+        return updatesByScene;
+    }
+
+    /**
+     * Correct the vision of tokens that no longer match their flags and scene, one write per scene
+     * @param {foundry.documents.BaseToken[]} tokens - The tokens to check
+     * @param {string} [source] - The HISTORY_SOURCES entry to record; corrections after lighting and condition
+     *                            changes are not recorded
+     * @returns {Promise<number>} The number of tokens corrected
+     */
+    async reconcileTokens(tokens, source) {
+        const corrections = [];
+        for (const tokenDocument of tokens) {
+            // Skip tokens that were deleted while queued
+            if (!tokenDocument.parent?.tokens.has(tokenDocument.id)) continue;
+            if (!tokenDocument.flags?.['pf2e-vision-config']) continue;
+
+            const correction = this.getVisionCorrection(tokenDocument);
+            if (correction) corrections.push({ tokenDocument, changes: correction });
+        }
+
+        const updatesByScene = await this.updateTokensByScene(corrections, { [CORRECTION_OPTION]: true, ...this.getHistoryOptions(source) });
+        for (const [scene, updates] of updatesByScene) {
+            console.log(`PF2E Vision Config: Corrected vision of ${updates.length} token(s) in ${scene.name}`);
+        }
+        return corrections.length;
+    }
+
+    /**
+     * Repair vision drift on every token in the world
+     * @returns {Promise<number>} The number of tokens corrected
+     */
+    async reconcileAllTokens() {
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.RECONCILE.GM_ONLY'));
+            return 0;
+        }
+
+        try {
+            const tokens = game.scenes.contents.flatMap(scene => scene.tokens.contents);
+            const corrected = await this.reconcileTokens(tokens, 'correction');
+            ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.RECONCILE.DONE', {
+                count: corrected,
+                total: tokens.length
+            }));
+            return corrected;
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error reconciling token vision', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.RECONCILE.FAILED'));
+            return 0;
+        }
+    }
+
+    /**
+     * Compare a token's vision against the ranges its flags and scene call for
+     * @param {foundry.documents.BaseToken} tokenDocument - The token document to check
+     * @returns {object|null} Update data that corrects the token, or null if it is up to date
+     */
+    getVisionCorrection(tokenDocument) {
+        if (!this.isManagedToken(tokenDocument.flags?.['pf2e-vision-config'])) return null;
+
+        // Calculate total vision and ranges
+        const vision = this.computeTokenVision(tokenDocument, tokenDocument.flags?.['pf2e-vision-config']);
+        if (!vision) return null;
+        const { visionRanges } = vision;
+
+        // Compare what the token actually stores; the order of detection modes doesn't matter
+        const visionData = this.buildVisionData(visionRanges, {}, tokenDocument.detectionModes);
+        const sortModes = modes => Array.from(modes ?? [], mode => ({ id: mode.id, enabled: mode.enabled, range: mode.range }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+        const rangeChanged = tokenDocument.sight?.range !== visionData.sight.range;
+        const detectionModesChanged = !foundry.utils.objectsEqual(sortModes(tokenDocument.detectionModes), sortModes(visionData.detectionModes));
+        if (!rangeChanged && !detectionModesChanged) return null;
+
+        const correction = {};
+        if (rangeChanged) correction['sight.range'] = visionData.sight.range;
+        if (detectionModesChanged) correction.detectionModes = visionData.detectionModes;
+        return correction;
+    }
+
+    /**
+     * Calculate the vision to write to a token, giving other modules a chance to change it
+     * @param {foundry.documents.BaseToken|PrototypeToken} tokenDocument - The token the vision is for
+     * @param {object} visionFlags - The token's pf2e-vision-config flags, including pending changes
+     * @param {number} [elevation] - The token's elevation in scene units, including pending changes
+     * @returns {object|null} Result of resolveVision, or null if a listener cancelled the change
+     */
+    computeTokenVision(tokenDocument, visionFlags, elevation = tokenDocument?.elevation) {
+        const overrides = this.getVisionOverrides(tokenDocument?.actor);
+        const vision = this.resolveVision(visionFlags, this.getTokenScene(tokenDocument), elevation, overrides);
+
+        /**
+         * A hook event that fires before the module writes calculated vision to a token or prototype token.
+         * Listeners may change the ranges in place; returning false leaves the token's vision as it is.
+         * @function pf2eVisionConfig.preApply
+         * @memberof hookEvents
+         * @param {TokenDocument|PrototypeToken} tokenDocument   The token the vision is for
+         * @param {object} visionRanges    The range, darknessRange and detectionModes to write, in scene units
+         * @param {object} context         The visionFlags, totalVision (feet), senses (feet), scene conditions, scene rules
+         *                                 and condition or effect overrides they were calculated from
+         * @returns {boolean|void}         Explicitly return false to prevent the module from writing the vision
+         */
+        const allowed = Hooks.call('pf2eVisionConfig.preApply', tokenDocument, vision.visionRanges, {
+            visionFlags,
+            totalVision: vision.totalVision,
+            senses: vision.senses,
+            conditions: vision.conditions,
+            rules: vision.rules,
+            overrides: vision.overrides
+        });
+        return allowed === false ? null : vision;
+    }
+
+    /**
+     * Calculate the vision of a token as it stands, without writing it
+     * @param {foundry.documents.BaseToken|PrototypeToken} tokenDocument - The token
+     * @returns {object} Result of resolveVision
+     */
+    resolveTokenVision(tokenDocument) {
+        return this.resolveVision(
+            tokenDocument.flags?.['pf2e-vision-config'],
+            this.getTokenScene(tokenDocument),
+            tokenDocument.elevation,
+            this.getVisionOverrides(tokenDocument.actor)
+        );
+    }
+
+    /**
+     * Find how far a single sense reaches under the scene's conditions and rules
+     * @param {object} sense - The sense, range in feet
+     * @param {object} vision - The token's vision, see resolveVision
+     * @returns {number} The reach in feet, Infinity for unlimited senses nothing caps
+     */
+    getSenseReach(sense, vision) {
+        // Sight that follows a daylight distance the token doesn't have works like Foundry's default sight,
+        // limited only by walls and light; scenes that disable daylight keep it at 0
+        const followsDaylight = !sense.unlimited && !(sense.range > 0) && this.getVisionType(sense.type).visual;
+        const reachSense = followsDaylight && !vision.totalVision && !vision.rules?.disableDaylight
+            ? { ...sense, unlimited: true }
+            : sense;
+        const ranges = this.calculateVisionRanges(vision.totalVision, [reachSense], vision.conditions, vision.rules);
+        return Math.max(ranges.range, ranges.darknessRange, ...ranges.detectionModes.map(mode => mode.range));
+    }
+
+    /**
+     * Measure the distance between the centers of two tokens in the same scene
+     * @param {foundry.documents.BaseToken} from - The first token
+     * @param {foundry.documents.BaseToken} to - The second token
+     * @returns {number} The distance in feet
+     */
+    measureTokenDistance(from, to) {
+        const scene = from.parent;
+        const path = [this.getTokenCenter(from), this.getTokenCenter(to)];
+        return scene.grid.measurePath(path).distance * this.getSceneUnitFeet(scene);
+    }
+
+    /**
+     * Get the scene a token is placed in
+     * @param {foundry.documents.BaseToken|PrototypeToken} tokenDocument - The token
+     * @returns {Scene|null} The scene, or null for prototype tokens
+     */
+    getTokenScene(tokenDocument) {
+        const parent = tokenDocument?.parent;
+        return parent?.documentName === 'Scene' ? parent : null;
+    }
+
+    /**
+     * Calculate the vision a token's flags call for in a scene
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @param {Scene|null} scene - The token's scene, null for tokens that aren't placed
+     * @param {number} [elevation] - The token's elevation in scene units
+     * @param {object|null} [overrides] - Condition and effect overrides of the token's actor, see getVisionOverrides
+     * @returns {object} Object with totalVision (feet), daylight (see calculateDaylightVision), senses (ranges in feet),
+     *                   conditions, rules (see getSceneRules), overrides and visionRanges (scene units) properties
+     */
+    resolveVision(visionFlags = {}, scene = null, elevation = 0, overrides = null) {
+        const units = this.getTokenUnits(visionFlags);
+        const daylight = this.calculateDaylightVision(visionFlags, scene, elevation);
+        const totalVision = daylight.totalVision;
+
+        // Sense ranges are entered in the token's near unit
+        const configuredSenses = this.getTokenSenses(visionFlags).map(sense => ({
+            ...sense,
+            range: this.convertDistance(sense.range, units.near, 'ft')
+        }));
+        // Overrides are layered on at calculation time and never saved, so vision returns when they end
+        const senses = this.applyVisionOverrides(configuredSenses, overrides);
+
+        const conditions = this.getSceneConditions(scene);
+        const rules = this.getSceneRules(scene);
+        const visionRanges = this.convertRangesToScene(this.calculateVisionRanges(totalVision, senses, conditions, rules), scene);
+        return { totalVision, daylight, senses, conditions, rules, overrides, visionRanges };
+    }
+
+    /**
+     * Calculate vision ranges for a token's senses
+     * @param {number} totalVision - Total daylight vision distance in feet
+     * @param {object[]|string} senses - The token's senses, or a single legacy vision type
+     * @param {object} [conditions] - Scene conditions from getSceneConditions, clear daylight if omitted
+     * @param {object} [rules] - Scene vision rules from getSceneRules, none if omitted
+     * @returns {object} Object with range, darknessRange and detectionModes properties, in feet and Infinity
+     *                   for unlimited senses nothing caps
+     */
+    calculateVisionRanges(totalVision, senses, conditions, rules) {
+        const totalVisionValue = rules?.disableDaylight ? 0 : Number(totalVision) || 0;
+        const senseList = Array.isArray(senses)
+            ? senses
+            : [this.normalizeSense({ type: senses || 'normal' })];
+
+        let range = 0;
+        let darknessRange = 0;
+        const detectionRanges = new Map();
+
+        for (const sense of senseList) {
+            // Unlimited senses don't depend on daylight, only scene conditions and rules cap them;
+            // a sense without its own range reaches as far as the daylight distance
+            const senseRange = sense.unlimited ? Infinity : sense.range > 0 ? sense.range : totalVisionValue;
+            const senseRanges = this.applySceneRules(
+                this.applySceneConditions(this.calculateSenseRanges(senseRange, sense.type), sense.type, conditions),
+                sense.type,
+                rules
+            );
+            range = Math.max(range, senseRanges.range);
+            darknessRange = Math.max(darknessRange, senseRanges.darknessRange);
+
+            // Senses sharing a detection mode are merged into its longest range
+            const modeId = this.getVisionType(sense.type).detectionMode;
+            const modeRange = senseRanges.detectionRange ?? Math.max(senseRanges.range, senseRanges.darknessRange);
+            detectionRanges.set(modeId, Math.max(detectionRanges.get(modeId) ?? 0, modeRange));
+        }
+
+        return { 
+            range: Math.round(range), 
+            darknessRange: Math.round(darknessRange),
+            detectionModes: Array.from(detectionRanges, ([id, modeRange]) => ({
+                id,
+                enabled: true,
+                range: Math.round(modeRange)
+            }))
+        };
+    }
+
+    /**
+     * Calculate the vision ranges a single sense contributes
+     * @param {number} senseRange - Distance the sense reaches in feet
+     * @param {string} visionType - Type of vision
+     * @returns {object} Object with range and darknessRange properties, and detectionRange if the type sets one
+     */
+    calculateSenseRanges(senseRange, visionType) {
+        const senseRangeValue = Number(senseRange) || 0;
+        const ranges = this.getVisionType(visionType).calculateRanges(senseRangeValue) ?? {};
+        const result = {
+            range: Number(ranges.range) || 0,
+            darknessRange: Number(ranges.darknessRange) || 0
+        };
+        if (ranges.detectionRange !== undefined) {
+            result.detectionRange = Number(ranges.detectionRange) || 0;
+        }
+        return result;
+    }
+
+    /**
+     * Scale a sense's ranges for the scene's lighting and weather
+     * Visual types are scaled and capped by weather; light shortens the light-based range of types that
+     * don't work in darkness, less so for types that work in dim light
+     * @param {object} senseRanges - Object with range, darknessRange and optional detectionRange properties, in feet
+     * @param {string} visionType - Type of vision
+     * @param {object} [conditions] - Scene conditions from getSceneConditions
+     * @returns {object} The scaled ranges
+     */
+    applySceneConditions(senseRanges, visionType, conditions) {
+        const definition = this.getVisionType(visionType);
+        if (!conditions || !definition.visual) return senseRanges;
+
+        const applyWeather = value => {
+            const scaled = value * conditions.weatherMultiplier;
+            return conditions.weatherCap === null ? scaled : Math.min(scaled, conditions.weatherCap);
+        };
+
+        // Light only limits the light-based range; darkness ranges don't depend on it
+        const lightFactor = definition.lightLevels.includes('darkness') ? 1
+            : definition.lightLevels.includes('dim') ? conditions.lowLightFactor
+            : conditions.lightFactor;
+
+        const scaled = {
+            // Unlimited ranges times no light would be NaN
+            range: applyWeather(lightFactor > 0 ? senseRanges.range * lightFactor : 0),
+            darknessRange: applyWeather(senseRanges.darknessRange)
+        };
+        if (senseRanges.detectionRange !== undefined) {
+            scaled.detectionRange = applyWeather(senseRanges.detectionRange);
+        }
+        return scaled;
+    }
+
+    /**
+     * Calculate the daylight range a token with normal vision has under the scene's conditions
+     * @param {number} totalVision - Total daylight vision distance in feet
+     * @param {object} [conditions] - Scene conditions from getSceneConditions
+     * @param {object} [rules] - Scene vision rules from getSceneRules
+     * @returns {number} Effective daylight range in feet
+     */
+    calculateEffectiveDaylight(totalVision, conditions, rules) {
+        const daylight = rules?.disableDaylight ? 0 : Number(totalVision) || 0;
+        const effective = this.applySceneRules(
+            this.applySceneConditions({ range: daylight, darknessRange: 0 }, 'normal', conditions),
+            'normal',
+            rules
+        );
+        return Math.round(effective.range);
+    }
+
+    /**
+     * Apply a scene's vision rules to the ranges of a sense
+     * @param {object} senseRanges - Ranges in feet as returned by calculateSenseRanges
+     * @param {string} visionType - The sense's vision type, for its multiplier
+     * @param {object|null} rules - Scene vision rules from getSceneRules
+     * @returns {object} The ranges with the type's multiplier and the scene's cap applied
+     */
+    applySceneRules(senseRanges, visionType, rules) {
+        if (!rules) return senseRanges;
+
+        const multiplier = rules.multipliers[visionType] ?? 1;
+        const applyRules = value => {
+            const scaled = multiplier > 0 ? value * multiplier : 0;
+            return rules.maxRange === null ? scaled : Math.min(scaled, rules.maxRange);
+        };
+
+        const result = {
+            range: applyRules(senseRanges.range),
+            darknessRange: applyRules(senseRanges.darknessRange)
+        };
+        if (senseRanges.detectionRange !== undefined) {
+            result.detectionRange = applyRules(senseRanges.detectionRange);
+        }
+        return result;
+    }
+
+    /**
+     * Read the vision rules a GM set for a scene
+     * @param {Scene|null} scene - The scene to read, null for tokens that aren't placed
+     * @returns {object|null} Rules with maxRange (feet, null for no cap), disableDaylight, defaultVisionType
+     *                        and multipliers (keyed by vision type) properties, or null when the scene has none
+     */
+    getSceneRules(scene) {
+        if (!scene) return null;
+
+        // The cap is entered in scene units, 0 or empty for none
+        const maxRange = Number(scene.getFlag('pf2e-vision-config', 'maxVisionRange')) || 0;
+        const disableDaylight = Boolean(scene.getFlag('pf2e-vision-config', 'disableDaylight'));
+        const defaultType = scene.getFlag('pf2e-vision-config', 'defaultVisionType');
+        const defaultVisionType = this.visionTypes.has(defaultType) ? defaultType : null;
+
+        // Multipliers of 1 change nothing and are left out
+        const multipliers = {};
+        for (const [visionType, value] of Object.entries(scene.getFlag('pf2e-vision-config', 'typeMultipliers') ?? {})) {
+            const multiplier = Number(value);
+            if (this.visionTypes.has(visionType) && value !== null && value !== '' && Number.isFinite(multiplier) && multiplier >= 0 && multiplier !== 1) {
+                multipliers[visionType] = multiplier;
+            }
+        }
+
+        if (maxRange <= 0 && !disableDaylight && !defaultVisionType && !Object.keys(multipliers).length) return null;
+        return {
+            maxRange: maxRange > 0 ? maxRange * this.getSceneUnitFeet(scene) : null,
+            disableDaylight,
+            defaultVisionType,
+            multipliers
+        };
+    }
+
+    /**
+     * Read the lighting and weather conditions of a scene
+     * @param {Scene|null} scene - The scene to read, null for tokens that aren't placed
+     * @returns {object|null} Conditions with darknessLevel, weather, lightFactor, lowLightFactor, weatherMultiplier
+     *                        and weatherCap properties, or null when the scene doesn't scale vision
+     */
+    getSceneConditions(scene) {
+        if (!scene) return null;
+
+        const lightingSource = scene.getFlag('pf2e-vision-config', 'lightingSource') ?? 'none';
+        const weather = scene.getFlag('pf2e-vision-config', 'weather') ?? 'clear';
+        if (lightingSource === 'none' && weather === 'clear') return null;
+
+        let darknessLevel = 0;
+        if (lightingSource === 'darkness') {
+            darknessLevel = scene.environment?.darknessLevel ?? scene.darkness ?? 0;
+        } else if (lightingSource === 'time') {
+            darknessLevel = this.getTimeOfDayDarkness();
+        }
+
+        const preset = WEATHER_PRESETS[weather] ?? WEATHER_PRESETS.clear;
+        return {
+            lightingSource,
+            darknessLevel,
+            weather,
+            lightFactor: this.calculateLightFactor(darknessLevel),
+            // Low-light vision sees in dim light as if it were bright
+            lowLightFactor: this.calculateLightFactor(darknessLevel - 0.25),
+            weatherMultiplier: preset.multiplier,
+            weatherCap: preset.cap
+        };
+    }
+
+    /**
+     * Calculate the share of the daylight range left at a darkness level
+     * Full range up to 0.25, falling to NIGHT_DAYLIGHT_FACTOR at 0.75 and beyond
+     * @param {number} darknessLevel - Darkness level from 0 (day) to 1 (night)
+     * @returns {number} Factor between NIGHT_DAYLIGHT_FACTOR and 1
+     */
+    calculateLightFactor(darknessLevel) {
+        const dusk = Math.clamp((darknessLevel - 0.25) / 0.5, 0, 1);
+        return 1 - (dusk * (1 - NIGHT_DAYLIGHT_FACTOR));
+    }
+
+    /**
+     * Estimate the darkness level from the world time of day
+     * Day from 06:00 to 18:00 and night from 20:00 to 04:00, with dusk and dawn in between
+     * @returns {number} Darkness level from 0 (day) to 1 (night)
+     */
+    getTimeOfDayDarkness() {
+        // The PF2e world clock knows the calendar's epoch, fall back to raw seconds otherwise
+        const clockTime = game.pf2e?.worldClock?.worldTime;
+        const hour = clockTime
+            ? clockTime.hour + (clockTime.minute / 60)
+            : (((game.time.worldTime % 86400) + 86400) % 86400) / 3600;
+
+        if (hour >= 6 && hour < 18) return 0;
+        if (hour >= 18 && hour < 20) return (hour - 18) / 2;
+        if (hour >= 4 && hour < 6) return 1 - ((hour - 4) / 2);
+        return 1;
+    }
+
+    /**
+     * Summarize scene conditions for display in the token config
+     * @param {object|null} conditions - Scene conditions from getSceneConditions
+     * @param {object|null} [rules] - Scene vision rules from getSceneRules
+     * @returns {string} A localized description
+     */
+    describeSceneConditions(conditions, rules = null) {
+        const description = conditions
+            ? game.i18n.format('PF2E_VISION_CONFIG.EFFECTIVE_VISION_RANGE_CONDITIONS', {
+                darkness: Math.round(conditions.darknessLevel * 100),
+                weather: game.i18n.localize(`PF2E_VISION_CONFIG.WEATHER.${conditions.weather.toUpperCase().replace(/-/g, '_')}`)
+            })
+            : game.i18n.localize('PF2E_VISION_CONFIG.EFFECTIVE_VISION_RANGE_HINT');
+        if (!rules) return description;
+
+        const ruleDescriptions = [];
+        if (rules.disableDaylight) ruleDescriptions.push(game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.DAYLIGHT_DISABLED'));
+        if (rules.maxRange !== null) {
+            ruleDescriptions.push(game.i18n.format('PF2E_VISION_CONFIG.SCENE_RULES.CAPPED', { range: this.formatDistance(rules.maxRange, 'ft') }));
+        }
+        if (Object.keys(rules.multipliers).length) ruleDescriptions.push(game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.MULTIPLIED'));
+        return ruleDescriptions.length ? `${description}. ${ruleDescriptions.join('. ')}` : description;
+    }
+
+    /**
+     * Look up a vision type in the registry
+     * @param {string} visionType - Type of vision
+     * @returns {object} The type's definition, normal vision for unknown types
+     */
+    getVisionType(visionType) {
+        return this.visionTypes.get(visionType) ?? this.visionTypes.get('normal');
+    }
+
+    /**
+     * Add a vision type to the registry, e.g. a homebrew sense
+     * Types are offered in forms in the order they are registered
+     * @param {string} visionType - Key of the new type
+     * @param {object} definition - The type's definition, see BUILT_IN_VISION_TYPES
+     * @param {string} definition.label - Label or localization key shown in forms
+     * @param {Function} [definition.calculateRanges] - Given the sense range in feet, returns { range, darknessRange }
+     *                                                 and optionally detectionRange; works like normal vision if omitted
+     * @param {string[]} [definition.lightLevels] - Light levels the type works in, all of them if omitted
+     * @param {boolean} [definition.visual] - Whether weather affects the type, false if omitted
+     * @param {string} [definition.detectionMode] - Foundry detection mode the type is written to, basicSight if omitted
+     * @param {string} [definition.acuity] - Default acuity, precise if omitted
+     * @param {string[]} [definition.pf2eSenses] - PF2e sense slugs that become this type; the key itself always does
+     */
+    registerVisionType(visionType, definition = {}) {
+        if (!visionType || typeof visionType !== 'string') {
+            throw new Error('PF2E Vision Configuration: A vision type needs a string key');
+        }
+        if (visionType in BUILT_IN_VISION_TYPES && this.visionTypes.has(visionType)) {
+            throw new Error(`PF2E Vision Configuration: Vision type "${visionType}" is built in and can't be replaced`);
+        }
+
+        this.visionTypes.set(visionType, {
+            label: definition.label ?? visionType,
+            lightLevels: definition.lightLevels ?? ['bright', 'dim', 'darkness'],
+            visual: Boolean(definition.visual),
+            detectionMode: definition.detectionMode ?? 'basicSight',
+            acuity: SENSE_ACUITIES.includes(definition.acuity) ? definition.acuity : 'precise',
+            pf2eSenses: [visionType, ...(definition.pf2eSenses ?? [])],
+            calculateRanges: definition.calculateRanges ?? (range => ({ range, darknessRange: 0 }))
+        });
+    }
+
+    /**
+     * Build the vision data to write to a token from calculated ranges
+     * Tokens store a single sight range, which has to cover seeing in darkness as well as in light.
+     * Detection modes owned by this module are replaced; modes added by other modules or by hand are kept
+     * @param {object} visionRanges - Result of calculateVisionRanges
+     * @param {object} [sight] - Sight data already present in the update
+     * @param {object[]} [currentDetectionModes] - The token's current detection modes
+     * @returns {object} Object with sight and detectionModes properties
+     */
+    buildVisionData(visionRanges, sight = {}, currentDetectionModes = []) {
+        const managedModes = new Set(Array.from(this.visionTypes.values(), definition => definition.detectionMode));
+        const otherModes = Array.from(currentDetectionModes ?? [])
+            .filter(mode => !managedModes.has(mode.id))
+            .map(mode => ({ id: mode.id, enabled: mode.enabled, range: mode.range }));
+
+        const { range, darknessRange } = visionRanges;
+        return {
+            sight: foundry.utils.mergeObject(sight || {}, {
+                range: range === null || darknessRange === null ? null : Math.max(range, darknessRange)
+            }),
+            detectionModes: [...otherModes, ...visionRanges.detectionModes]
+        };
+    }
+
+    /**
+     * Read the list of senses configured on a token
+     * Tokens saved with a single visionType get a one-sense list built from it
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {object[]} Senses as { type, range, acuity, unlimited }, range in the near unit with 0 meaning the
+     *                     daylight distance
+     */
+    getTokenSenses(visionFlags = {}) {
+        const rawSenses = visionFlags?.senses;
+        if (rawSenses && typeof rawSenses === 'object') {
+            // Form submissions expand indexed field names into an object keyed by index
+            return Object.values(rawSenses)
+                .filter(sense => sense?.type)
+                .map(sense => this.normalizeSense(sense));
+        }
+        return [this.normalizeSense({ type: visionFlags?.visionType ?? 'normal' })];
+    }
+
+    /**
+     * Fill in and clean up the fields of a sense
+     * @param {object} sense - A sense with at least a type
+     * @returns {object} The sense as { type, range, acuity, unlimited }
+     */
+    normalizeSense(sense) {
+        const acuity = SENSE_ACUITIES.includes(sense.acuity)
+            ? sense.acuity
+            : (this.visionTypes.get(sense.type)?.acuity ?? 'precise');
+        const unlimited = Boolean(sense.unlimited);
+        return {
+            type: String(sense.type),
+            // Unlimited senses ignore their range, which the form leaves empty
+            range: unlimited ? 0 : Math.max(Number(sense.range) || 0, 0),
+            acuity,
+            unlimited
+        };
+    }
+
+    /**
+     * Read the conditions and effects of an actor that temporarily change its vision
+     * @param {Actor|null} actor - The token's actor
+     * @returns {object|null} Object with conditions (VISION_CONDITIONS slugs) and senses (granted by effects,
+     *                        ranges in feet, each with its source) properties, or null if nothing applies
+     */
+    getVisionOverrides(actor) {
+        if (!actor || game.system.id !== 'pf2e') return null;
+
+        const conditions = VISION_CONDITIONS.filter(slug => actor.hasCondition?.(slug));
+
+        // Spell and item effects grant senses through Sense rule elements
+        const senses = [];
+        for (const effect of actor.itemTypes?.effect ?? []) {
+            if (effect.isExpired) continue;
+            for (const rule of effect.rules ?? effect.system?.rules ?? []) {
+                if (rule.key !== 'Sense' || rule.ignored) continue;
+                const visionType = this.getVisionTypeForPF2eSense(rule.selector);
+                if (!visionType) continue;
+
+                // Senses without a range are unlimited; formulas make the sense reach as far as the daylight distance
+                const range = Number(rule.range);
+                senses.push({
+                    ...this.normalizeSense({
+                        type: visionType,
+                        range: Number.isFinite(range) ? range : 0,
+                        acuity: rule.acuity,
+                        unlimited: rule.range === undefined || rule.range === null
+                    }),
+                    source: effect.name
+                });
+            }
+        }
+
+        if (!conditions.length && !senses.length) return null;
+        return { conditions, senses };
+    }
+
+    /**
+     * Layer condition and effect overrides on top of a token's configured senses
+     * @param {object[]} senses - The configured senses, ranges in feet
+     * @param {object|null} overrides - Result of getVisionOverrides
+     * @returns {object[]} The senses in effect; senses of a dazzled creature that perceive everything as
+     *                     concealed are marked concealed
+     */
+    applyVisionOverrides(senses, overrides) {
+        if (!overrides) return senses;
+
+        // Granted senses are added, or extend a sense of the same type; unlimited senses reach furthest,
+        // then a range of 0, which follows the daylight distance
+        const result = senses.map(sense => ({ ...sense }));
+        for (const granted of overrides.senses) {
+            const existing = result.find(sense => sense.type === granted.type);
+            if (!existing) {
+                result.push({ type: granted.type, range: granted.range, acuity: granted.acuity, unlimited: granted.unlimited });
+                continue;
+            }
+            existing.unlimited = existing.unlimited || granted.unlimited;
+            existing.range = !existing.unlimited && existing.range > 0 && granted.range > 0 ? Math.max(existing.range, granted.range) : 0;
+            if (SENSE_ACUITIES.indexOf(granted.acuity) < SENSE_ACUITIES.indexOf(existing.acuity)) {
+                existing.acuity = granted.acuity;
+            }
+        }
+
+        if (overrides.conditions.includes('blinded')) {
+            return result.filter(sense => !this.getVisionType(sense.type).visual);
+        }
+
+        if (overrides.conditions.includes('dazzled')) {
+            const otherPreciseSense = result.some(sense => !this.getVisionType(sense.type).visual && sense.acuity === 'precise');
+            if (!otherPreciseSense) {
+                // Concealment doesn't change what a sense detects, only that targeting what it sees takes a flat check
+                for (const sense of result) {
+                    if (this.getVisionType(sense.type).visual) sense.concealed = true;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Describe the active overrides of an actor for the token config
+     * @param {object|null} overrides - Result of getVisionOverrides
+     * @returns {string[]} One localized line per override
+     */
+    describeVisionOverrides(overrides) {
+        if (!overrides) return [];
+
+        const lines = overrides.conditions.map(slug => game.i18n.localize(`PF2E_VISION_CONFIG.OVERRIDES.${slug.toUpperCase()}`));
+        for (const sense of overrides.senses) {
+            lines.push(game.i18n.format('PF2E_VISION_CONFIG.OVERRIDES.EFFECT_SENSE', {
+                sense: this.getVisionTypeChoices()[sense.type] ?? sense.type,
+                range: sense.unlimited ? this.formatDistance(Infinity, 'ft')
+                    : sense.range > 0 ? this.formatDistance(sense.range, 'ft')
+                    : game.i18n.localize('PF2E_VISION_CONFIG.OVERRIDES.DAYLIGHT_RANGE'),
+                source: sense.source
+            }));
+        }
+        return lines;
+    }
+
+    /**
+     * Add lighting and weather fields to scene configuration
+     * The fields save through the sheet's own submit
+     * @param {SceneConfig} app - The scene configuration application
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {object} context - The render context
+     */
+    onRenderSceneConfig(app, html, context) {
+        try {
+            const scene = app.document;
+            if (!scene) {
+                console.warn('PF2E Vision Configuration: Scene document not found');
+                return;
+            }
+
+            // Partial re-renders keep the section if the lighting tab wasn't replaced
+            const lightingTab = html.querySelector('.tab[data-tab="lighting"]');
+            if (!lightingTab) {
+                console.warn('PF2E Vision Configuration: Lighting tab not found in scene config');
+                return;
+            }
+            if (lightingTab.querySelector('.pf2e-vision-scene-section')) return;
+
+            const lightingSource = scene.getFlag('pf2e-vision-config', 'lightingSource') ?? 'none';
+            const weather = scene.getFlag('pf2e-vision-config', 'weather') ?? 'clear';
+            const groundElevation = scene.getFlag('pf2e-vision-config', 'groundElevation') ?? 0;
+            const explorationMode = scene.getFlag('pf2e-vision-config', 'explorationMode') ?? false;
+            const maxVisionRange = scene.getFlag('pf2e-vision-config', 'maxVisionRange') ?? 0;
+            const disableDaylight = scene.getFlag('pf2e-vision-config', 'disableDaylight') ?? false;
+            const sceneVisionType = scene.getFlag('pf2e-vision-config', 'defaultVisionType') ?? '';
+            const typeMultipliers = scene.getFlag('pf2e-vision-config', 'typeMultipliers') ?? {};
+            const visionTypeChoices = this.getVisionTypeChoices();
+
+            const lightingOptions = ['none', 'darkness', 'time']
+                .map(source => `<option value="${source}" ${lightingSource === source ? 'selected' : ''}>${game.i18n.localize(`PF2E_VISION_CONFIG.LIGHTING_SOURCES.${source.toUpperCase()}`)}</option>`)
+                .join('');
+            const weatherOptions = Object.keys(WEATHER_PRESETS)
+                .map(preset => `<option value="${preset}" ${weather === preset ? 'selected' : ''}>${game.i18n.localize(`PF2E_VISION_CONFIG.WEATHER.${preset.toUpperCase().replace(/-/g, '_')}`)}</option>`)
+                .join('');
+
+            const sceneSectionHTML = `
+                <fieldset class="pf2e-vision-scene-section">
+                    <legend>${game.i18n.localize('PF2E_VISION_CONFIG.MODULE_NAME')}</legend>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.LIGHTING_SOURCE')}</label>
+                        <select name="flags.pf2e-vision-config.lightingSource" data-dtype="String">${lightingOptions}</select>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.LIGHTING_SOURCE_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.WEATHER_PRESET')}</label>
+                        <select name="flags.pf2e-vision-config.weather" data-dtype="String">${weatherOptions}</select>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.WEATHER_PRESET_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.GROUND_ELEVATION')}</label>
+                        <input type="number" 
+                               name="flags.pf2e-vision-config.groundElevation" 
+                               value="${this.escapeHtml(String(groundElevation))}" 
+                               step="any" 
+                               data-dtype="Number" />
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.GROUND_ELEVATION_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.EXPLORATION.MODE')}</label>
+                        <input type="checkbox" 
+                               name="flags.pf2e-vision-config.explorationMode" 
+                               data-dtype="Boolean" 
+                               ${explorationMode ? 'checked' : ''} />
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.EXPLORATION.MODE_HINT')}</p>
+                    </div>
+                </fieldset>
+                <fieldset class="pf2e-vision-scene-rules">
+                    <legend>${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.TITLE')}</legend>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.MAX_RANGE')}</label>
+                        <input type="number" 
+                               name="flags.pf2e-vision-config.maxVisionRange" 
+                               value="${this.escapeHtml(String(maxVisionRange))}" 
+                               min="0" 
+                               step="any" 
+                               data-dtype="Number" />
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.MAX_RANGE_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.DISABLE_DAYLIGHT')}</label>
+                        <input type="checkbox" 
+                               name="flags.pf2e-vision-config.disableDaylight" 
+                               data-dtype="Boolean" 
+                               ${disableDaylight ? 'checked' : ''} />
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.DISABLE_DAYLIGHT_HINT')}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.DEFAULT_VISION_TYPE')}</label>
+                        <select name="flags.pf2e-vision-config.defaultVisionType" data-dtype="String">
+                            <option value="">${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.WORLD_DEFAULT')}</option>
+                            ${Object.entries(visionTypeChoices).map(([type, label]) => `<option value="${type}" ${sceneVisionType === type ? 'selected' : ''}>${this.escapeHtml(label)}</option>`).join('')}
+                        </select>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.DEFAULT_VISION_TYPE_HINT')}</p>
+                    </div>
+                    <div class="form-group pf2e-vision-multipliers">
+                        <label>${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.MULTIPLIERS')}</label>
+                        <div class="pf2e-vision-multiplier-list">
+                            ${Object.entries(visionTypeChoices).map(([type, label]) => `
+                                <label class="pf2e-vision-multiplier">
+                                    <span>${this.escapeHtml(label)}</span>
+                                    <input type="number" 
+                                           name="flags.pf2e-vision-config.typeMultipliers.${type}" 
+                                           value="${this.escapeHtml(String(typeMultipliers[type] ?? 1))}" 
+                                           min="0" 
+                                           step="0.05" 
+                                           data-dtype="Number" />
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SCENE_RULES.MULTIPLIERS_HINT')}</p>
+                    </div>
+                </fieldset>
+            `;
+
+            // The sections close the Lighting tab, after the core lighting settings
+            lightingTab.insertAdjacentHTML('beforeend', sceneSectionHTML);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error rendering scene config', error);
+        }
+    }
+
+    /**
+     * Re-apply token vision when a scene's darkness, weather, lighting source or grid units change
+     * @param {Scene} scene - The scene that was updated
+     * @param {object} changes - The update data
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID making the update
+     */
+    async onUpdateScene(scene, changes, options, userId) {
+        try {
+            // Deleted flags show up as -=key
+            const flagChanges = Object.keys(changes.flags?.['pf2e-vision-config'] ?? {}).map(key => key.replace(/^-=/, ''));
+
+            // Every GM client redraws its exploration layer
+            if (scene.isView && flagChanges.some(key => EXPLORATION_FLAGS.includes(key))) {
+                canvas.pf2eVisionExploration?.refresh();
+            }
+
+            if (!this.isReconciler()) return;
+
+            const darknessChanged = foundry.utils.hasProperty(changes, 'environment.darknessLevel') || ('darkness' in changes);
+            const conditionsChanged = flagChanges.some(key => !EXPLORATION_FLAGS.includes(key));
+            const unitsChanged = foundry.utils.hasProperty(changes, 'grid.units') || foundry.utils.hasProperty(changes, 'grid.distance');
+            if (!darknessChanged && !conditionsChanged && !unitsChanged) return;
+
+            await this.refreshSceneVision(scene);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error refreshing vision after scene update', error);
+        }
+    }
+
+    /**
+     * Re-apply token vision in scenes that follow the time of day
+     * @param {number} worldTime - The new world time
+     * @param {number} delta - The time advanced
+     */
+    async onUpdateWorldTime(worldTime, delta) {
+        try {
+            if (!this.isReconciler()) return;
+
+            for (const scene of game.scenes) {
+                if (scene.getFlag('pf2e-vision-config', 'lightingSource') !== 'time') continue;
+                await this.refreshSceneVision(scene);
+            }
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error refreshing vision after time change', error);
+        }
+    }
+
+    /**
+     * Correct the vision of every token in a scene that uses this module
+     * @param {Scene} scene - The scene to refresh
+     */
+    async refreshSceneVision(scene) {
+        await this.reconcileTokens(scene.tokens.contents);
+    }
+
+    /**
+     * Check whether a scene records which hexes tokens have seen
+     * @param {Scene|null} scene - The scene
+     * @returns {boolean} True for hex scenes with exploration mode on
+     */
+    isExplorationScene(scene) {
+        return Boolean(scene?.getFlag('pf2e-vision-config', 'explorationMode') && scene.grid?.isHexagonal);
+    }
+
+    /**
+     * Read the hexes recorded in an exploration scene
+     * @param {Scene} scene - The scene
+     * @returns {object} Sets of hex keys (see getHexKey) as { sighted, visited }
+     */
+    getExploredHexes(scene) {
+        const sceneFlags = scene.flags?.['pf2e-vision-config'] ?? {};
+        const legacyHexes = key => Array.isArray(sceneFlags[key]) ? sceneFlags[key] : [];
+        const explored = sceneFlags.exploredHexes && typeof sceneFlags.exploredHexes === 'object'
+            ? Object.entries(sceneFlags.exploredHexes)
+            : [];
+
+        // Visited hexes count as sighted too
+        const visited = new Set([...legacyHexes('visitedHexes'), ...explored.filter(([, state]) => state === 'visited').map(([key]) => key)]);
+        const sighted = new Set([...legacyHexes('sightedHexes'), ...explored.map(([key]) => key), ...visited]);
+        return { sighted, visited };
+    }
+
+    /**
+     * Work out the flag update that moves hexes recorded in arrays into exploredHexes
+     * @param {object} sceneFlags - The scene's pf2e-vision-config flags
+     * @returns {object|null} Changes to the scene's pf2e-vision-config flags, or null if there are no arrays
+     */
+    convertLegacyHexes(sceneFlags) {
+        const legacyKeys = ['sightedHexes', 'visitedHexes'].filter(key => key in sceneFlags);
+        if (!legacyKeys.length) return null;
+
+        const exploredHexes = {};
+        const legacyHexes = key => Array.isArray(sceneFlags[key]) ? sceneFlags[key].filter(hex => typeof hex === 'string') : [];
+        for (const key of legacyHexes('sightedHexes')) exploredHexes[key] = 'sighted';
+        for (const key of legacyHexes('visitedHexes')) exploredHexes[key] = 'visited';
+
+        const changes = { exploredHexes };
+        for (const key of legacyKeys) changes[`-=${key}`] = null;
+        return changes;
+    }
+
+    /**
+     * Build the key a hex is recorded under in the exploredHexes flag, which can't hold dots
+     * @param {object} offset - The hex's grid offset as { i, j }
+     * @returns {string} The key, e.g. '4_7'
+     */
+    getHexKey(offset) {
+        return `${offset.i}_${offset.j}`;
+    }
+
+    /**
+     * Read a hex key back into a grid offset
+     * @param {string} key - The key, see getHexKey
+     * @returns {object} The grid offset as { i, j }
+     */
+    parseHexKey(key) {
+        const [i, j] = key.split('_').map(Number);
+        return { i, j };
+    }
+
+    /**
+     * List the grid offsets of every hex overlapping a rectangle
+     * @param {foundry.grid.BaseGrid} grid - The scene's grid
+     * @param {number} left - Left edge in pixels
+     * @param {number} top - Top edge in pixels
+     * @param {number} right - Right edge in pixels
+     * @param {number} bottom - Bottom edge in pixels
+     * @returns {object[]|null} Offsets as { i, j }, or null if there are more than MAX_EXPLORATION_HEXES
+     */
+    getHexOffsetsInRect(grid, left, top, right, bottom) {
+        // Staggered rows and columns can poke out of the corner hexes, so widen by one hex on each side
+        const first = grid.getOffset({ x: left, y: top });
+        const last = grid.getOffset({ x: right, y: bottom });
+        const rows = last.i - first.i + 3;
+        const columns = last.j - first.j + 3;
+        if (rows * columns > MAX_EXPLORATION_HEXES) return null;
+
+        const offsets = [];
+        for (let i = first.i - 1; i <= last.i + 1; i++) {
+            for (let j = first.j - 1; j <= last.j + 1; j++) {
+                offsets.push({ i, j });
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * Get the center of a token in pixels
+     * @param {foundry.documents.BaseToken} tokenDocument - The token
+     * @returns {object} The center as { x, y }
+     */
+    getTokenCenter(tokenDocument) {
+        const grid = tokenDocument.parent.grid;
+        return {
+            x: tokenDocument.x + (tokenDocument.width * grid.sizeX) / 2,
+            y: tokenDocument.y + (tokenDocument.height * grid.sizeY) / 2
+        };
+    }
+
+    /**
+     * Collect the wall segments of a scene that block sight
+     * Read from the scene rather than the canvas, so scenes the GM isn't viewing are explored too
+     * @param {Scene} scene - The scene
+     * @returns {object[]} Segments as { a, b, limited }
+     */
+    getSightWalls(scene) {
+        const { WALL_SENSE_TYPES, WALL_DOOR_TYPES, WALL_DOOR_STATES } = CONST;
+        return scene.walls
+            .filter(wall => wall.sight !== WALL_SENSE_TYPES.NONE)
+            .filter(wall => wall.door === WALL_DOOR_TYPES.NONE || wall.ds !== WALL_DOOR_STATES.OPEN)
+            .map(wall => ({
+                a: { x: wall.c[0], y: wall.c[1] },
+                b: { x: wall.c[2], y: wall.c[3] },
+                limited: wall.sight === WALL_SENSE_TYPES.LIMITED
+            }));
+    }
+
+    /**
+     * Check whether walls block the line of sight between two points
+     * @param {object[]} walls - Result of getSightWalls
+     * @param {object} origin - The viewer as { x, y }
+     * @param {object} target - The point looked at as { x, y }
+     * @returns {boolean} True if the line is blocked
+     */
+    isSightBlocked(walls, origin, target) {
+        let limitedWalls = 0;
+        for (const wall of walls) {
+            if (!foundry.utils.lineSegmentIntersects(origin, target, wall.a, wall.b)) continue;
+            if (!wall.limited) return true;
+            // Limited walls only block what lies behind a second one
+            if (++limitedWalls >= 2) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Find the hexes a viewer can see
+     * @param {Scene} scene - The scene
+     * @param {object} origin - The viewer as { x, y }
+     * @param {number} range - Sight range in scene units
+     * @returns {string[]|null} Hex keys, or null if the range covers too many hexes to check
+     */
+    getSightedHexes(scene, origin, range) {
+        const grid = scene.grid;
+        const radius = (range / grid.distance) * grid.size;
+        const offsets = this.getHexOffsetsInRect(grid, origin.x - radius, origin.y - radius, origin.x + radius, origin.y + radius);
+        if (!offsets) return null;
+
+        const walls = this.getSightWalls(scene);
+        return offsets
+            .filter(offset => {
+                const center = grid.getCenterPoint(offset);
+                return Math.hypot(center.x - origin.x, center.y - origin.y) <= radius && !this.isSightBlocked(walls, origin, center);
+            })
+            .map(offset => this.getHexKey(offset));
+    }
+
+    /**
+     * Queue a token's move for exploration; moves are handled one at a time
+     * @param {foundry.documents.BaseToken} tokenDocument - The token that moved
+     */
+    queueExploration(tokenDocument) {
+        this.explorationQueue = this.explorationQueue
+            .then(() => this.exploreFromToken(tokenDocument))
+            .catch(error => console.error('PF2E Vision Configuration: Error recording explored hexes', error));
+    }
+
+    /**
+     * Record the hex a player token stands in as visited, and the hexes in its long-range sight as sighted
+     * @param {foundry.documents.BaseToken} tokenDocument - The token that moved
+     */
+    async exploreFromToken(tokenDocument) {
+        const scene = tokenDocument.parent;
+        if (!this.isExplorationScene(scene) || !scene.tokens.has(tokenDocument.id)) return;
+        // Monsters moving about shouldn't reveal the map to the party
+        if (!tokenDocument.actor?.hasPlayerOwner) return;
+
+        const { sighted, visited } = this.getExploredHexes(scene);
+
+        const origin = this.getTokenCenter(tokenDocument);
+        const currentHex = this.getHexKey(scene.grid.getOffset(origin));
+        const newHexes = new Set([currentHex]);
+
+        // Only miles-level daylight vision reaches past the neighbouring hexes; the range includes scene caps
+        const vision = this.resolveTokenVision(tokenDocument);
+        const sightRange = vision.visionRanges.range;
+        if (vision.totalVision >= DISTANCE_UNITS.mi && sightRange !== 0) {
+            // Unlimited sight would cover the whole map
+            const sightedHexes = sightRange === null ? null : this.getSightedHexes(scene, origin, sightRange);
+            if (sightedHexes) {
+                for (const key of sightedHexes) newHexes.add(key);
+            } else {
+                console.warn(`PF2E Vision Config: Sight range of ${tokenDocument.name} covers too many hexes to explore in ${scene.name}`);
+            }
+        }
+
+        // Only hexes that weren't recorded yet are written, so a move doesn't send everything explored so far
+        const hexChanges = {};
+        for (const key of newHexes) {
+            if (!sighted.has(key)) hexChanges[key] = 'sighted';
+        }
+        if (!visited.has(currentHex)) hexChanges[currentHex] = 'visited';
+        if (!Object.keys(hexChanges).length) return;
+
+        // Hexes still kept in arrays move over with the first write
+        const legacyChanges = this.convertLegacyHexes(scene.flags?.['pf2e-vision-config'] ?? {});
+        await scene.update({
+            flags: {
+                'pf2e-vision-config': {
+                    ...legacyChanges,
+                    exploredHexes: { ...legacyChanges?.exploredHexes, ...hexChanges }
+                }
+            }
+        });
+        const sightedCount = Object.keys(hexChanges).filter(key => !sighted.has(key)).length;
+        console.log(`PF2E Vision Config: ${tokenDocument.name} explored ${sightedCount} new hex(es) in ${scene.name}`);
+    }
+
+    /**
+     * Forget which hexes of a scene have been sighted and visited, after asking the GM
+     * @param {Scene|null} scene - The scene to reset
+     */
+    async resetExploration(scene) {
+        if (!game.user.isGM || !scene) return;
+
+        try {
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: 'PF2E_VISION_CONFIG.EXPLORATION.RESET' },
+                content: `<p>${game.i18n.format('PF2E_VISION_CONFIG.EXPLORATION.RESET_CONFIRM', { scene: this.escapeHtml(scene.name) })}</p>`
+            });
+            if (!confirmed) return;
+
+            const deletions = ['exploredHexes', 'sightedHexes', 'visitedHexes']
+                .filter(key => key in (scene.flags?.['pf2e-vision-config'] ?? {}))
+                .map(key => [`-=${key}`, null]);
+            if (deletions.length) {
+                await scene.update({ flags: { 'pf2e-vision-config': Object.fromEntries(deletions) } });
+            }
+            ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.EXPLORATION.RESET_DONE', { scene: scene.name }));
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error resetting exploration', error);
+        }
+    }
+
+    /**
+     * Download the explored hexes of a scene as JSON
+     * @param {Scene|null} scene - The scene to export
+     */
+    exportExploration(scene) {
+        if (!game.user.isGM || !scene) return;
+
+        const { sighted, visited } = this.getExploredHexes(scene);
+        const data = {
+            module: 'pf2e-vision-config',
+            scene: { id: scene.id, name: scene.name },
+            grid: {
+                type: scene.grid.type,
+                size: scene.grid.size,
+                distance: scene.grid.distance,
+                units: scene.grid.units
+            },
+            sighted: Array.from(sighted, key => this.parseHexKey(key)),
+            visited: Array.from(visited, key => this.parseHexKey(key))
+        };
+        foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'text/json', `pf2e-vision-exploration-${scene.id}.json`);
+    }
+
+    /**
+     * Roll a Seek for every token the user controls
+     * The rolls are resolved by onCreateChatMessage, like Seeks rolled through the PF2e system
+     */
+    async seekWithControlledTokens() {
+        const tokens = canvas.tokens?.controlled ?? [];
+        if (!tokens.length) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.SEEK.NO_TOKENS'));
+            return;
+        }
+        for (const token of tokens) {
+            await this.seek(token);
+        }
+    }
+
+    /**
+     * Roll a Seek for a token; the check is secret, as in the PF2e rules
+     * @param {Token|TokenDocument} token - The seeking token
+     * @returns {Promise<object|null>} The rolled check, or null if the token can't roll Perception
+     */
+    async seek(token) {
+        const tokenDocument = token?.document ?? token;
+        const perception = tokenDocument?.actor?.perception;
+        if (game.system.id !== 'pf2e' || !perception) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.SEEK.NO_PERCEPTION'));
+            return null;
+        }
+
+        return perception.roll({
+            extraRollOptions: ['action:seek'],
+            rollMode: CONST.DICE_ROLL_MODES.BLIND,
+            token: tokenDocument
+        });
+    }
+
+    /**
+     * Resolve Perception checks made for the Seek action
+     * Only the active GM resolves them, as it knows the Stealth DCs and writes to the other tokens
+     * @param {ChatMessage} message - The created chat message
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID that created the message
+     */
+    async onCreateChatMessage(message, options, userId) {
+        try {
+            if (!this.isReconciler()) return;
+
+            const context = message.flags?.pf2e?.context;
+            if (context?.type !== 'perception-check' || !context.options?.includes('action:seek')) return;
+
+            const roll = message.rolls?.[0];
+            const speaker = message.speaker ?? {};
+            const seeker = game.scenes.get(speaker.scene)?.tokens.get(speaker.token);
+            if (!roll || !seeker) return;
+
+            await this.resolveSeek(seeker, roll);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error resolving Seek', error);
+        }
+    }
+
+    /**
+     * Resolve a Seek against every hidden or undetected creature within the seeker's senses
+     * @param {foundry.documents.BaseToken} seeker - The seeking token
+     * @param {Roll} roll - The Perception check
+     * @returns {Promise<object[]>} One result per creature, see the chat message
+     */
+    async resolveSeek(seeker, roll) {
+        const scene = seeker.parent;
+        const vision = this.resolveTokenVision(seeker);
+        const walls = this.getSightWalls(scene);
+        const die = roll.dice?.[0]?.total;
+
+        const results = [];
+        for (const target of scene.tokens) {
+            if (target === seeker || !target.actor) continue;
+
+            const before = this.getDetectionState(target, seeker);
+            if (!before || before === 'observed') continue;
+
+            const sense = this.getSeekingSense(seeker, target, vision, walls);
+            if (!sense) continue;
+
+            const dc = target.actor.skills?.stealth?.dc?.value;
+            if (!Number.isFinite(dc)) continue;
+
+            const degree = this.getDegreeOfSuccess(roll.total, dc, die);
+            results.push({
+                target,
+                sense,
+                dc,
+                degree,
+                before,
+                after: this.getSeekOutcome(before, degree, sense.acuity)
+            });
+        }
+
+        // One write for all creatures whose state changed
+        const updates = results
+            .filter(result => result.after !== result.before)
+            .map(result => ({
+                _id: result.target.id,
+                flags: { 'pf2e-vision-config': { detection: { [seeker.id]: result.after } } }
+            }));
+        if (updates.length) await scene.updateEmbeddedDocuments('Token', updates);
+
+        await this.postSeekResults(seeker, roll, results);
+        return results;
+    }
+
+    /**
+     * Read how well a seeker perceives a creature
+     * States recorded by Seek come first, then the creature's PF2e conditions; recorded states are
+     * dropped whenever those conditions change, see clearDetectionStates
+     * @param {foundry.documents.BaseToken} target - The creature's token
+     * @param {foundry.documents.BaseToken} seeker - The seeking token
+     * @returns {string|null} A DETECTION_STATES entry, or null if nothing marks the creature as unseen
+     */
+    getDetectionState(target, seeker) {
+        const recorded = target.flags?.['pf2e-vision-config']?.detection?.[seeker.id];
+        if (DETECTION_STATES.includes(recorded)) return recorded;
+
+        const actor = target.actor;
+        if (actor?.hasCondition?.('undetected') || actor?.hasCondition?.('unnoticed')) return 'undetected';
+        if (actor?.hasCondition?.('hidden')) return 'hidden';
+        return null;
+    }
+
+    /**
+     * Find the most exact of the seeker's senses that reaches a creature
+     * @param {foundry.documents.BaseToken} seeker - The seeking token
+     * @param {foundry.documents.BaseToken} target - The creature's token
+     * @param {object} vision - The seeker's vision, see resolveVision
+     * @param {object[]} walls - The scene's sight walls, see getSightWalls
+     * @returns {object|null} The sense with its distance in feet, or null if no sense reaches
+     */
+    getSeekingSense(seeker, target, vision, walls) {
+        const distance = this.measureTokenDistance(seeker, target);
+
+        let best = null;
+        for (const sense of vision.senses) {
+            if (!this.isInSenseReach(seeker, target, sense, this.getSenseReach(sense, vision), walls, distance)) continue;
+
+            // Between equally exact senses, one that doesn't see the creature concealed is better
+            const rank = candidate => SENSE_ACUITIES.indexOf(candidate.acuity) * 2 + (candidate.concealed ? 1 : 0);
+            if (!best || rank(sense) < rank(best)) {
+                best = { ...sense, distance: Math.round(distance) };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check whether a sense reaches another token
+     * @param {foundry.documents.BaseToken} viewer - The token using the sense
+     * @param {foundry.documents.BaseToken} target - The other token
+     * @param {object} sense - The sense
+     * @param {number} reach - The sense's reach in feet, see getSenseReach
+     * @param {object[]} walls - The scene's sight walls, see getSightWalls
+     * @param {number} [distance] - The distance between the tokens in feet, measured if omitted
+     * @returns {boolean} True if the target is within reach and, for visual senses, not behind walls
+     */
+    isInSenseReach(viewer, target, sense, reach, walls, distance = this.measureTokenDistance(viewer, target)) {
+        if (distance > reach) return false;
+        // Walls only stop senses that rely on sight
+        if (!this.getVisionType(sense.type).visual) return true;
+        return !this.isSightBlocked(walls, this.getTokenCenter(viewer), this.getTokenCenter(target));
+    }
+
+    /**
+     * Work out the degree of success of a check
+     * @param {number} total - The check result
+     * @param {number} dc - The DC
+     * @param {number} [die] - The d20 result, for natural 20s and 1s
+     * @returns {number} 0 critical failure, 1 failure, 2 success, 3 critical success
+     */
+    getDegreeOfSuccess(total, dc, die) {
+        let degree = total >= dc + 10 ? 3 : total >= dc ? 2 : total > dc - 10 ? 1 : 0;
+        if (die === 20) degree += 1;
+        if (die === 1) degree -= 1;
+        return Math.clamp(degree, 0, 3);
+    }
+
+    /**
+     * Apply the Seek outcomes of the PF2e rules, limited by the acuity of the sense used
+     * Precise senses can make a creature observed, imprecise ones hidden at best, vague ones change nothing
+     * @param {string} before - The creature's detection state
+     * @param {number} degree - The degree of success, see getDegreeOfSuccess
+     * @param {string} acuity - Acuity of the sense used
+     * @returns {string} The new detection state
+     */
+    getSeekOutcome(before, degree, acuity) {
+        if (degree < 2 || acuity === 'vague') return before;
+
+        // A success improves the state by one step, a critical success makes the creature observed
+        const improved = degree === 3 ? 'observed' : DETECTION_STATES[DETECTION_STATES.indexOf(before) - 1];
+        return acuity === 'precise' ? improved : (before === 'undetected' ? 'hidden' : before);
+    }
+
+    /**
+     * Post the results of a Seek to the GMs, as they show Stealth DCs
+     * @param {foundry.documents.BaseToken} seeker - The seeking token
+     * @param {Roll} roll - The Perception check
+     * @param {object[]} results - Results of resolveSeek
+     */
+    async postSeekResults(seeker, roll, results) {
+        const degrees = ['CRITICAL_FAILURE', 'FAILURE', 'SUCCESS', 'CRITICAL_SUCCESS'];
+        const stateLabel = state => game.i18n.localize(`PF2E_VISION_CONFIG.DETECTION_STATES.${state.toUpperCase()}`);
+
+        const rows = results.map(result => `
+            <tr>
+                <td>${this.escapeHtml(result.target.name)}</td>
+                <td>${this.escapeHtml(this.getVisionTypeChoices()[result.sense.type] ?? result.sense.type)} (${this.describeSenseAcuity(result.sense)})</td>
+                <td>${result.dc}</td>
+                <td>${game.i18n.localize(`PF2E_VISION_CONFIG.SEEK.${degrees[result.degree]}`)}</td>
+                <td>${stateLabel(result.before)} &rarr; ${stateLabel(result.after)}</td>
+            </tr>
+        `).join('');
+
+        const content = results.length
+            ? `
+                <table class="pf2e-vision-seek-results">
+                    <thead>
+                        <tr>
+                            <th>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.CREATURE')}</th>
+                            <th>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.SENSE')}</th>
+                            <th>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.DC')}</th>
+                            <th>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.RESULT')}</th>
+                            <th>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.STATE')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `
+            : `<p>${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.NOTHING_IN_RANGE')}</p>`;
+
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: seeker }),
+            whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id),
+            content: `
+                <h3>${game.i18n.format('PF2E_VISION_CONFIG.SEEK.RESULTS', { name: this.escapeHtml(seeker.name), total: roll.total })}</h3>
+                ${content}
+                <p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.SEEK.STATES_NOTE')}</p>
+            `
+        });
+    }
+
+    /**
+     * Describe how exactly a sense perceives, including concealment from conditions
+     * @param {object} sense - The sense in effect, see applyVisionOverrides
+     * @returns {string} The localized acuity, e.g. "precise, concealed"
+     */
+    describeSenseAcuity(sense) {
+        const acuity = game.i18n.localize(`PF2E_VISION_CONFIG.ACUITIES.${sense.acuity.toUpperCase()}`);
+        return sense.concealed ? game.i18n.format('PF2E_VISION_CONFIG.CONCEALED_ACUITY', { acuity }) : acuity;
+    }
+
+    /**
+     * Add the range rings button to the token HUD
+     * @param {TokenHUD} hud - The token HUD
+     * @param {HTMLElement} html - The rendered HTML
+     * @param {object} context - The render context
+     */
+    onRenderTokenHUD(hud, html, context) {
+        try {
+            const token = hud.object;
+            const column = html.querySelector('.col.right');
+            if (!token || !column) return;
+
+            column.insertAdjacentHTML('beforeend', `
+                <button type="button" class="control-icon pf2e-vision-rings ${this.hasRangeRings(token.id) ? 'active' : ''}" 
+                        data-tooltip="${game.i18n.localize('PF2E_VISION_CONFIG.RINGS.TOGGLE')}">
+                    <i class="fas fa-bullseye"></i>
+                </button>
+            `);
+            const button = column.querySelector('.pf2e-vision-rings');
+            button.addEventListener('click', () => {
+                this.toggleRangeRings(token);
+                button.classList.toggle('active', this.hasRangeRings(token.id));
+            });
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error adding token HUD button', error);
+        }
+    }
+
+    /**
+     * Show or hide the range rings of a token on this client
+     * @param {Token} token - The token
+     */
+    toggleRangeRings(token) {
+        if (this.hasRangeRings(token.id)) {
+            this.clearRangeRings(token.id);
+        } else {
+            this.drawRangeRings(token);
+        }
+    }
+
+    /**
+     * Check whether a token's range rings are shown; redrawing the canvas destroys them with the token
+     * @param {string} tokenId - The token's ID
+     * @returns {boolean} True if the rings are on the canvas
+     */
+    hasRangeRings(tokenId) {
+        const rings = this.rangeRings.get(tokenId);
+        return Boolean(rings) && !rings.destroyed;
+    }
+
+    /**
+     * Remove the range rings of a token
+     * @param {string} tokenId - The token's ID
+     */
+    clearRangeRings(tokenId) {
+        const rings = this.rangeRings.get(tokenId);
+        if (rings && !rings.destroyed) rings.destroy({ children: true });
+        this.rangeRings.delete(tokenId);
+    }
+
+    /**
+     * Redraw the range rings of a token after its vision or position changed
+     * @param {foundry.documents.BaseToken} tokenDocument - The token
+     */
+    refreshRangeRings(tokenDocument) {
+        this.clearRangeRings(tokenDocument.id);
+        if (tokenDocument.object) this.drawRangeRings(tokenDocument.object);
+    }
+
+    /**
+     * Draw a labelled ring for the reach of each of a token's senses
+     * The rings are children of the token, so they move with it
+     * @param {Token} token - The token
+     */
+    drawRangeRings(token) {
+        const tokenDocument = token.document;
+        const scene = tokenDocument.parent;
+        const vision = this.resolveTokenVision(tokenDocument);
+        const units = this.getTokenUnits(tokenDocument.flags?.['pf2e-vision-config']);
+        const pixelsPerFoot = scene.grid.size / (scene.grid.distance * this.getSceneUnitFeet(scene));
+        const center = { x: token.w / 2, y: token.h / 2 };
+
+        const rings = new PIXI.Container();
+        vision.senses.forEach((sense, index) => {
+            const reach = this.getSenseReach(sense, vision);
+            // An unlimited reach has no edge to draw
+            if (reach <= 0 || !Number.isFinite(reach)) return;
+
+            const color = RING_COLORS[index % RING_COLORS.length];
+            const radius = reach * pixelsPerFoot;
+            rings.addChild(new PIXI.Graphics())
+                .lineStyle(3, color, 0.9)
+                .beginFill(color, 0.04)
+                .drawCircle(center.x, center.y, radius)
+                .endFill();
+
+            const labelText = `${this.getVisionTypeChoices()[sense.type] ?? sense.type} ${this.formatDistance(reach, this.getDisplayUnit(reach, units))}`;
+            const label = rings.addChild(new foundry.canvas.containers.PreciseText(labelText, CONFIG.canvasTextStyle));
+            label.anchor.set(0.5, 1);
+            label.position.set(center.x, center.y - radius);
+        });
+
+        token.addChild(rings);
+        this.rangeRings.set(tokenDocument.id, rings);
+    }
+
+    /**
+     * Work out what each player token in a scene can perceive
+     * Senses reach as far as they do for Seek, see getSenseReach, so default sight isn't cut down to nothing
+     * @param {Scene} scene - The scene
+     * @returns {object[]} Rows as { token, name, daylight (feet), daylightLabel, senses, detected }, each sense as
+     *                     { type, label, acuity, concealed, reach (feet), reachLabel, tokens (names in reach) }
+     */
+    buildSightReport(scene) {
+        const walls = this.getSightWalls(scene);
+        const tokens = scene.tokens.filter(tokenDocument => tokenDocument.actor);
+
+        return tokens.filter(tokenDocument => tokenDocument.actor.hasPlayerOwner).map(viewer => {
+            const vision = this.resolveTokenVision(viewer);
+            const units = this.getTokenUnits(viewer.flags?.['pf2e-vision-config']);
+            const detected = new Set();
+
+            const senses = vision.senses.map(sense => {
+                const reach = this.getSenseReach(sense, vision);
+                const inReach = tokens.filter(other => other !== viewer && this.isInSenseReach(viewer, other, sense, reach, walls));
+                for (const other of inReach) detected.add(other.id);
+                return {
+                    type: sense.type,
+                    label: this.getVisionTypeChoices()[sense.type] ?? sense.type,
+                    acuity: sense.acuity,
+                    concealed: Boolean(sense.concealed),
+                    reach,
+                    reachLabel: this.formatDistance(reach, this.getDisplayUnit(reach, units), scene),
+                    tokens: inReach.map(other => other.name)
+                };
+            });
+
+            const daylight = this.calculateEffectiveDaylight(vision.totalVision, vision.conditions, vision.rules);
+            return {
+                token: viewer,
+                name: viewer.name,
+                daylight,
+                daylightLabel: this.formatDistance(daylight, this.getDisplayUnit(daylight, units), scene),
+                senses,
+                detected: detected.size
+            };
+        });
+    }
+
+    /**
+     * Run /vision commands typed into chat
+     * @param {ChatLog} chatLog - The chat log
+     * @param {string} message - The typed message
+     * @param {object} chatData - Data of the message about to be created
+     * @returns {boolean|void} False for /vision commands, so no chat message is created
+     */
+    onChatMessage(chatLog, message, chatData) {
+        const [command, ...args] = message.trim().split(/\s+/);
+        if (command.toLowerCase() !== VISION_COMMAND) return;
+
+        this.runVisionCommand(args).catch(error => {
+            console.error('PF2E Vision Configuration: Error running vision command', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.COMMANDS.FAILED'));
+        });
+        return false;
+    }
+
+    /**
+     * Run a /vision command for the controlled tokens
+     * @param {string[]} args - The words after /vision
+     */
+    async runVisionCommand(args) {
+        const [first, ...rest] = args;
+        switch (first?.toLowerCase()) {
+            case 'report':
+                await this.reportVision();
+                return;
+            case 'preset': {
+                const preset = this.findPreset(rest.join(' '));
+                if (!preset) {
+                    ui.notifications.warn(game.i18n.format('PF2E_VISION_CONFIG.COMMANDS.UNKNOWN_PRESET', { name: rest.join(' ') }));
+                    return;
+                }
+                await this.updateControlledVision(visionFlags => this.applyVisionConfig(visionFlags, { presetId: preset.id }));
+                return;
+            }
+        }
+
+        const command = this.parseVisionCommand(args);
+        if (!command) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.COMMANDS.USAGE'));
+            return;
+        }
+        await this.updateControlledVision(visionFlags => this.applyVisionConfig(visionFlags, this.buildCommandConfig(command, visionFlags)));
+    }
+
+    /**
+     * Read a distance and a vision type from the words of a /vision command, e.g. "60 darkvision", "2mi" or "2 miles"
+     * @param {string[]} args - The words after /vision
+     * @returns {object|null} Object with distance ({ value, unit }, unit null when not given) and visionType
+     *                        properties, either may be null; null if the words aren't understood
+     */
+    parseVisionCommand(args) {
+        const command = { distance: null, visionType: null };
+        const typeWords = [];
+
+        const getUnit = word => Object.hasOwn(GRID_UNIT_ALIASES, word.toLowerCase()) ? GRID_UNIT_ALIASES[word.toLowerCase()] : undefined;
+        for (let index = 0; index < args.length; index++) {
+            const word = args[index];
+            const distance = word.match(/^(\d+(?:\.\d+)?)([a-z.']*)$/i);
+            if (!distance || command.distance) {
+                typeWords.push(word.toLowerCase());
+                continue;
+            }
+
+            // The unit is either attached to the number or the next word
+            let unitWord = distance[2];
+            if (!unitWord && index + 1 < args.length && getUnit(args[index + 1])) unitWord = args[++index];
+
+            const unit = unitWord ? getUnit(unitWord) : null;
+            if (unit === undefined) return null;
+            command.distance = { value: Number(distance[1]), unit };
+        }
+
+        // Types are matched by key or label, so both "low-light" and "low light" work
+        if (typeWords.length) {
+            const search = typeWords.join(' ');
+            const match = Object.entries(this.getVisionTypeChoices())
+                .find(([type, label]) => [type, type.replace(/-/g, ' '), label.toLowerCase()].includes(search));
+            if (!match) return null;
+            command.visionType = match[0];
+        }
+
+        return command.distance || command.visionType ? command : null;
+    }
+
+    /**
+     * Turn a parsed /vision command into a vision configuration for one token, in the token's units
+     * With a vision type, the distance is the first sense's range; without one, it is the daylight
+     * distance in feet or miles, whichever its unit belongs to
+     * @param {object} command - Result of parseVisionCommand
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {object} The configuration, see applyVisionConfig
+     */
+    buildCommandConfig(command, visionFlags) {
+        const units = this.getTokenUnits(visionFlags);
+        // Only a new vision type is a hand-picked sense that auto mode must leave alone
+        const config = command.visionType ? { visionType: command.visionType } : { lockVision: Boolean(visionFlags.lockVision) };
+        if (!command.distance) return config;
+
+        const { value, unit } = command.distance;
+        if (command.visionType) {
+            config.senseRange = this.convertDistance(value, unit ?? units.near, units.near);
+        } else if (unit && Object.values(UNIT_SYSTEMS).some(system => system.far === unit)) {
+            config.daylightVisionMiles = this.convertDistance(value, unit, units.far);
+        } else {
+            config.daylightVisionFeet = this.convertDistance(value, unit ?? units.near, units.near);
+        }
+        return config;
+    }
+
+    /**
+     * Check whether the current user may change a token's vision with commands and keybindings
+     * @param {foundry.documents.BaseToken} tokenDocument - The token
+     * @returns {boolean} True for GMs, and for owners when the world allows player commands
+     */
+    canChangeVision(tokenDocument) {
+        if (game.user.isGM) return true;
+        return game.settings.get('pf2e-vision-config', 'playerVisionCommands') && tokenDocument.isOwner;
+    }
+
+    /**
+     * Change the vision flags of every controlled token the user may change, one write per scene
+     * The ranges are calculated by onPreUpdateToken, as for any other update
+     * @param {Function} buildFlags - Given a token's current flags and the token, returns its new flags,
+     *                                or null to leave it alone
+     * @param {string} [source] - The HISTORY_SOURCES entry to record
+     * @returns {Promise<object[]>} The changed tokens as { tokenDocument, flags }
+     */
+    async updateControlledVision(buildFlags, source = 'command') {
+        const tokens = (canvas.tokens?.controlled ?? []).map(token => token.document);
+        if (!tokens.length) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.COMMANDS.NO_TOKENS'));
+            return [];
+        }
+
+        const allowed = tokens.filter(tokenDocument => this.canChangeVision(tokenDocument));
+        if (allowed.length < tokens.length) {
+            ui.notifications.warn(game.i18n.format('PF2E_VISION_CONFIG.COMMANDS.NOT_PERMITTED', { count: tokens.length - allowed.length }));
+        }
+
+        const changed = [];
+        for (const tokenDocument of allowed) {
+            const flags = buildFlags(tokenDocument.flags?.['pf2e-vision-config'] ?? {}, tokenDocument);
+            if (flags) changed.push({ tokenDocument, flags });
+        }
+
+        await this.updateTokensByScene(
+            changed.map(({ tokenDocument, flags }) => ({ tokenDocument, changes: { flags: { 'pf2e-vision-config': flags } } })),
+            this.getHistoryOptions(source)
+        );
+        if (changed.length) {
+            ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.COMMANDS.UPDATED', { count: changed.length }));
+        }
+        return changed;
+    }
+
+    /**
+     * Switch the first sense of each controlled token to the next vision type
+     */
+    async cycleVisionType() {
+        try {
+            const types = Object.keys(this.getVisionTypeChoices());
+            await this.updateControlledVision(visionFlags => {
+                const current = types.indexOf(this.getTokenSenses(visionFlags)[0]?.type);
+                return this.applyVisionConfig(visionFlags, { visionType: types[(current + 1) % types.length] });
+            }, 'keybinding');
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error cycling vision type', error);
+        }
+    }
+
+    /**
+     * Turn the daylight vision of each controlled token off, or back on
+     * Turning it off keeps the distances, so turning it on restores them; tokens without kept distances
+     * get the world's defaults
+     */
+    async toggleDaylightVision() {
+        try {
+            await this.updateControlledVision(visionFlags => {
+                const lockVision = Boolean(visionFlags.lockVision);
+                const feet = Number(visionFlags.daylightVisionFeet) || 0;
+                const miles = Number(visionFlags.daylightVisionMiles) || 0;
+                if (feet > 0 || miles > 0) {
+                    return {
+                        ...this.applyVisionConfig(visionFlags, { daylightVisionFeet: 0, daylightVisionMiles: 0, lockVision }),
+                        storedDaylight: { feet, miles }
+                    };
+                }
+
+                const stored = visionFlags.storedDaylight ?? {
+                    feet: game.settings.get('pf2e-vision-config', 'defaultDaylightFeet') || 0,
+                    miles: game.settings.get('pf2e-vision-config', 'defaultDaylightMiles') || 0
+                };
+                return {
+                    ...this.applyVisionConfig(visionFlags, { daylightVisionFeet: stored.feet, daylightVisionMiles: stored.miles, lockVision }),
+                    '-=storedDaylight': null
+                };
+            }, 'keybinding');
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error toggling daylight vision', error);
+        }
+    }
+
+    /**
+     * Report the vision of the scene: the sight report for GMs, a summary of their controlled tokens for players
+     */
+    async reportVision() {
+        if (game.user.isGM) {
+            new SightReport().render({ force: true });
+            return;
+        }
+
+        const tokens = (canvas.tokens?.controlled ?? []).map(token => token.document);
+        if (!tokens.length) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.COMMANDS.NO_TOKENS'));
+            return;
+        }
+
+        const lines = tokens.map(tokenDocument => {
+            const summary = this.summarizeVision(tokenDocument.flags?.['pf2e-vision-config'] ?? {});
+            return `<li><strong>${this.escapeHtml(tokenDocument.name)}</strong>: ${this.escapeHtml(summary)}</li>`;
+        });
+        await ChatMessage.create({
+            content: `<h3>${game.i18n.localize('PF2E_VISION_CONFIG.COMMANDS.REPORT_TITLE')}</h3><ul>${lines.join('')}</ul>`,
+            whisper: [game.user.id]
+        });
+    }
+
+    /**
+     * Read the world's vision presets
+     * @returns {object[]} Presets as { id, name, flags }
+     */
+    getPresets() {
+        const presets = game.settings.get('pf2e-vision-config', 'presets') ?? [];
+        return presets.map(preset => this.normalizePreset(preset)).filter(preset => preset);
+    }
+
+    /**
+     * Replace the world's vision presets
+     * @param {object[]} presets - The presets to store
+     */
+    async savePresets(presets) {
+        const normalized = presets.map(preset => this.normalizePreset(preset)).filter(preset => preset);
+        await game.settings.set('pf2e-vision-config', 'presets', normalized);
+    }
+
+    /**
+     * Find a preset by ID, or by name ignoring case
+     * @param {string} idOrName - The preset's ID or name
+     * @returns {object|undefined} The preset
+     */
+    findPreset(idOrName) {
+        if (!idOrName) return undefined;
+        const search = String(idOrName).trim().toLowerCase();
+        const presets = this.getPresets();
+        return presets.find(preset => preset.id === idOrName) ?? presets.find(preset => preset.name.toLowerCase() === search);
+    }
+
+    /**
+     * Clean up a preset, e.g. one read from an imported file
+     * @param {object} preset - The preset as { id, name, flags }
+     * @returns {object|null} The preset with all flags filled in, or null if it has no name
+     */
+    normalizePreset(preset) {
+        if (!preset || typeof preset !== 'object') return null;
+
+        const name = String(preset.name ?? '').trim();
+        if (!name) return null;
+
+        return {
+            // IDs from imported files end up in HTML attributes, so only Foundry-style IDs are kept
+            id: /^[A-Za-z0-9]{16}$/.test(preset.id) ? preset.id : foundry.utils.randomID(),
+            name,
+            flags: this.normalizePresetFlags(preset.flags)
+        };
+    }
+
+    /**
+     * Fill in and clean up the flag set stored in a preset
+     * @param {object} [flags] - The preset's flags
+     * @returns {object} Flags with daylight distances, units and senses
+     */
+    normalizePresetFlags(flags = {}) {
+        const units = this.getTokenUnits(flags);
+        return {
+            daylightVisionFeet: Math.max(Number(flags?.daylightVisionFeet) || 0, 0),
+            daylightVisionMiles: Math.max(Number(flags?.daylightVisionMiles) || 0, 0),
+            nearUnit: units.near,
+            farUnit: units.far,
+            senses: this.getTokenSenses(flags)
+        };
+    }
+
+    /**
+     * Download the world's presets as a JSON file
+     */
+    exportPresets() {
+        const data = {
+            module: 'pf2e-vision-config',
+            presets: this.getPresets()
+        };
+        foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'text/json', 'pf2e-vision-presets.json');
+    }
+
+    /**
+     * Add presets from an exported JSON file to the world's presets
+     * Imported presets replace existing presets with the same name
+     * @param {string} json - Contents of the file
+     * @returns {Promise<number>} Number of presets imported
+     */
+    async importPresets(json) {
+        const data = JSON.parse(json);
+        const imported = (Array.isArray(data) ? data : data?.presets ?? [])
+            .map(preset => this.normalizePreset(preset))
+            .filter(preset => preset);
+        if (!imported.length) {
+            throw new Error('No presets found in file');
+        }
+
+        const importedNames = new Set(imported.map(preset => preset.name.toLowerCase()));
+        const kept = this.getPresets().filter(preset => !importedNames.has(preset.name.toLowerCase()));
+
+        // Presets from another world may reuse an ID that is taken here
+        const keptIds = new Set(kept.map(preset => preset.id));
+        const renumbered = imported.map(preset => keptIds.has(preset.id) ? { ...preset, id: foundry.utils.randomID() } : preset);
+        await this.savePresets([...kept, ...renumbered]);
+        return imported.length;
+    }
+
+    /**
+     * Add the module's GM tools to the token controls
+     * @param {Object<string, SceneControl>} controls - The scene controls, keyed by name
+     */
+    onGetSceneControlButtons(controls) {
+        try {
+            const tokenControls = controls.tokens;
+
+            // Every user can seek with the tokens they control
+            if (tokenControls) {
+                tokenControls.tools.pf2eVisionSeek = {
+                    name: 'pf2eVisionSeek',
+                    title: 'PF2E_VISION_CONFIG.SEEK.TITLE',
+                    icon: 'fas fa-magnifying-glass',
+                    button: true,
+                    order: Object.keys(tokenControls.tools).length,
+                    onChange: () => this.seekWithControlledTokens()
+                };
+            }
+
+            if (!game.user.isGM) return;
+
+            controls.pf2eVisionExploration = {
+                name: 'pf2eVisionExploration',
+                title: 'PF2E_VISION_CONFIG.EXPLORATION.TITLE',
+                icon: 'fas fa-map',
+                layer: 'pf2eVisionExploration',
+                order: Object.keys(controls).length,
+                activeTool: 'inspect',
+                tools: {
+                    inspect: {
+                        name: 'inspect',
+                        title: 'PF2E_VISION_CONFIG.EXPLORATION.INSPECT',
+                        icon: 'fas fa-binoculars',
+                        order: 0
+                    },
+                    reset: {
+                        name: 'reset',
+                        title: 'PF2E_VISION_CONFIG.EXPLORATION.RESET',
+                        icon: 'fas fa-trash',
+                        button: true,
+                        order: 1,
+                        onChange: () => this.resetExploration(canvas.scene)
+                    },
+                    export: {
+                        name: 'export',
+                        title: 'PF2E_VISION_CONFIG.EXPLORATION.EXPORT',
+                        icon: 'fas fa-file-export',
+                        button: true,
+                        order: 2,
+                        onChange: () => this.exportExploration(canvas.scene)
+                    }
+                }
+            };
+
+            if (!tokenControls) return;
+
+            tokenControls.tools.pf2eVisionBulkEditor = {
+                name: 'pf2eVisionBulkEditor',
+                title: 'PF2E_VISION_CONFIG.BULK.TITLE',
+                icon: 'fas fa-eye',
+                button: true,
+                order: Object.keys(tokenControls.tools).length,
+                onChange: () => new BulkVisionEditor().render({ force: true })
+            };
+
+            tokenControls.tools.pf2eVisionSightReport = {
+                name: 'pf2eVisionSightReport',
+                title: 'PF2E_VISION_CONFIG.REPORT.TITLE',
+                icon: 'fas fa-binoculars',
+                button: true,
+                order: Object.keys(tokenControls.tools).length,
+                onChange: () => new SightReport().render({ force: true })
+            };
+
+            tokenControls.tools.pf2eVisionReconcile = {
+                name: 'pf2eVisionReconcile',
+                title: 'PF2E_VISION_CONFIG.RECONCILE.TITLE',
+                icon: 'fas fa-rotate',
+                button: true,
+                order: Object.keys(tokenControls.tools).length,
+                onChange: () => this.reconcileAllTokens()
+            };
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error adding scene controls', error);
+        }
+    }
+
+    /**
+     * Apply a vision configuration to a token's flags
+     * A preset replaces the whole flag set; otherwise only the given fields change. A sense list replaces
+     * the token's senses, a vision type and sense range only the type and range of the first sense
+     * @param {object} currentFlags - The token's current pf2e-vision-config flags
+     * @param {object} config - Object with presetId (ID or name), daylightVisionFeet, daylightVisionMiles, nearUnit,
+     *                          farUnit, senses, visionType, senseRange (in the near unit) and lockVision properties,
+     *                          all optional
+     * @returns {object} The complete new flag set
+     */
+    applyVisionConfig(currentFlags = {}, config = {}) {
+        const preset = config.presetId ? this.findPreset(config.presetId) : null;
+        const flags = preset
+            ? foundry.utils.deepClone(preset.flags)
+            : this.normalizePresetFlags(currentFlags);
+
+        if (!preset) {
+            if (Number.isFinite(config.daylightVisionFeet)) flags.daylightVisionFeet = Math.max(config.daylightVisionFeet, 0);
+            if (Number.isFinite(config.daylightVisionMiles)) flags.daylightVisionMiles = Math.max(config.daylightVisionMiles, 0);
+            if (config.nearUnit in DISTANCE_UNITS) flags.nearUnit = config.nearUnit;
+            if (config.farUnit in DISTANCE_UNITS) flags.farUnit = config.farUnit;
+            if (config.senses) {
+                flags.senses = this.getTokenSenses({ senses: config.senses });
+            } else if (config.visionType || Number.isFinite(config.senseRange)) {
+                const sense = { ...flags.senses[0] };
+                if (config.visionType) Object.assign(sense, { type: config.visionType, acuity: undefined });
+                if (Number.isFinite(config.senseRange)) Object.assign(sense, { range: config.senseRange, unlimited: false });
+                flags.senses[0] = this.normalizeSense(sense);
+            }
+        }
+
+        // A hand-picked configuration shouldn't be overwritten by auto mode
+        if (config.lockVision !== undefined) {
+            flags.lockVision = Boolean(config.lockVision);
+        } else if (game.settings.get('pf2e-vision-config', 'autoDeriveSenses')) {
+            flags.lockVision = true;
+        }
+        return flags;
+    }
+
+    /**
+     * Describe a token's vision flags in one line, e.g. for previews
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {string} The summary
+     */
+    summarizeVision(visionFlags = {}) {
+        const units = this.getTokenUnits(visionFlags);
+        const totalVision = this.calculateTotalVision(visionFlags.daylightVisionFeet || 0, visionFlags.daylightVisionMiles || 0, units);
+        const senses = this.getTokenSenses(visionFlags).map(sense => {
+            const label = this.getVisionTypeChoices()[sense.type] ?? sense.type;
+            const range = sense.unlimited ? ` ${this.formatDistance(Infinity, units.near)}`
+                : sense.range > 0 ? ` ${this.formatDistance(this.convertDistance(sense.range, units.near, 'ft'), units.near)}`
+                : '';
+            return `${label}${range} (${game.i18n.localize(`PF2E_VISION_CONFIG.ACUITIES.${sense.acuity.toUpperCase()}`)})`;
+        });
+        return `${this.formatDistance(totalVision, units.near)}; ${senses.join(', ')}`;
+    }
+
+    /**
+     * Build the actor update that writes vision flags to its prototype token
+     * The ranges are added by onPreUpdateActor, as for prototype token sheet submissions
+     * @param {Actor} actor - The actor whose prototype token changes
+     * @param {object} visionFlags - The new pf2e-vision-config flags
+     * @returns {object} Actor update data
+     */
+    buildPrototypeVisionUpdate(actor, visionFlags) {
+        return {
+            _id: actor.id,
+            prototypeToken: {
+                flags: { 'pf2e-vision-config': visionFlags }
+            }
+        };
+    }
+
+    /**
+     * Check whether a token uses the module's vision, i.e. has daylight distances or senses configured
+     * The flag namespace alone doesn't tell, as Seek records detection states on any token
+     * @param {object} [visionFlags] - The token's pf2e-vision-config flags
+     * @returns {boolean} True if the token opted in
+     */
+    isManagedToken(visionFlags) {
+        if (!visionFlags || typeof visionFlags !== 'object') return false;
+        return ['daylightVisionFeet', 'daylightVisionMiles', 'senses', 'visionType']
+            .some(key => visionFlags[key] !== undefined && visionFlags[key] !== null);
+    }
+
+    /**
+     * Bring the vision flags of a token that opted in to the current schema
+     * Numbers are coerced, unknown units and horizon modes reset, and a legacy visionType becomes a sense
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {object} The vision flags, without detection states
+     */
+    normalizeVisionFlags(visionFlags) {
+        const flags = {
+            ...this.normalizePresetFlags(visionFlags),
+            horizonMode: HORIZON_MODES.includes(visionFlags.horizonMode) ? visionFlags.horizonMode : 'off',
+            lockVision: visionFlags.lockVision === true || visionFlags.lockVision === 'true',
+            schemaVersion: SCHEMA_VERSION
+        };
+
+        // Distances kept by the daylight toggle are only worth keeping if they are numbers
+        const stored = visionFlags.storedDaylight;
+        if (stored && typeof stored === 'object') {
+            flags.storedDaylight = {
+                feet: Math.max(Number(stored.feet) || 0, 0),
+                miles: Math.max(Number(stored.miles) || 0, 0)
+            };
+        }
+        return flags;
+    }
+
+    /**
+     * Work out the flag update that migrates a token or prototype token
+     * @param {object} [visionFlags] - The token's pf2e-vision-config flags
+     * @returns {object|null} Object with flags (update data for the token's flags) and result ('normalized' or
+     *                        'cleaned') properties, or null if the token is up to date
+     */
+    migrateVisionFlags(visionFlags) {
+        if (!visionFlags || typeof visionFlags !== 'object') return null;
+
+        if (!this.isManagedToken(visionFlags)) {
+            // Leftovers of tokens that never opted in go, detection states stay
+            const leftovers = VISION_FLAG_KEYS.filter(key => key in visionFlags);
+            if (!leftovers.length) return null;
+            const kept = Object.keys(visionFlags).filter(key => !VISION_FLAG_KEYS.includes(key));
+            const flags = kept.length
+                ? { 'pf2e-vision-config': Object.fromEntries(leftovers.map(key => [`-=${key}`, null])) }
+                : { '-=pf2e-vision-config': null };
+            return { flags, result: 'cleaned' };
+        }
+
+        const normalized = this.normalizeVisionFlags(visionFlags);
+        const changes = Object.fromEntries(Object.entries(normalized)
+            .filter(([key, value]) => !foundry.utils.objectsEqual({ value: visionFlags[key] }, { value })));
+        if ('visionType' in visionFlags) changes['-=visionType'] = null;
+        if ('storedDaylight' in visionFlags && !normalized.storedDaylight) changes['-=storedDaylight'] = null;
+        if (!Object.keys(changes).length) return null;
+
+        return { flags: { 'pf2e-vision-config': changes }, result: 'normalized' };
+    }
+
+    /**
+     * Work out the flag update that cleans up a scene's settings
+     * Unknown lighting sources and weather fall back to none and clear, non-numeric distances are removed
+     * and explored hexes kept in arrays are keyed by hex
+     * @param {object} [sceneFlags] - The scene's pf2e-vision-config flags
+     * @returns {object|null} Update data for the scene's flags, or null if the scene is up to date
+     */
+    migrateSceneFlags(sceneFlags) {
+        if (!sceneFlags || typeof sceneFlags !== 'object') return null;
+
+        const changes = {};
+        if ('lightingSource' in sceneFlags && !['none', 'darkness', 'time'].includes(sceneFlags.lightingSource)) {
+            changes.lightingSource = 'none';
+        }
+        if ('weather' in sceneFlags && !(sceneFlags.weather in WEATHER_PRESETS)) {
+            changes.weather = 'clear';
+        }
+        for (const key of ['groundElevation', 'maxVisionRange']) {
+            if (!(key in sceneFlags) || typeof sceneFlags[key] === 'number') continue;
+            const value = Number(sceneFlags[key]);
+            if (sceneFlags[key] !== null && sceneFlags[key] !== '' && Number.isFinite(value)) changes[key] = value;
+            else changes[`-=${key}`] = null;
+        }
+        // Hexes recorded in arrays move into exploredHexes, which replaces a value that isn't an object
+        const legacyChanges = this.convertLegacyHexes(sceneFlags);
+        if (legacyChanges) {
+            Object.assign(changes, legacyChanges);
+        } else if ('exploredHexes' in sceneFlags && (!sceneFlags.exploredHexes || typeof sceneFlags.exploredHexes !== 'object')) {
+            changes['-=exploredHexes'] = null;
+        }
+
+        return Object.keys(changes).length ? { 'pf2e-vision-config': changes } : null;
+    }
+
+    /**
+     * Migrate the world once after the module's flags changed layout
+     * Only the active GM runs it; the version it reached is kept in a hidden world setting
+     */
+    async runMigrations() {
+        try {
+            if (!this.isReconciler()) return;
+            if (game.settings.get('pf2e-vision-config', 'schemaVersion') >= SCHEMA_VERSION) return;
+
+            await this.migrateWorld();
+            await game.settings.set('pf2e-vision-config', 'schemaVersion', SCHEMA_VERSION);
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error migrating world data', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.MIGRATION.FAILED'), { permanent: true });
+        }
+    }
+
+    /**
+     * Migrate the module's flags on scenes, placed tokens (linked or not), world actors' prototype tokens
+     * and the actors of unlocked compendiums, then tell the GMs what changed
+     * Migrated vision flags are saved like any other change, so the ranges are recalculated with them
+     * @returns {Promise<object|null>} Counts as { scenes, tokens, prototypes, compendiumActors, cleaned, lockedPacks },
+     *                                null for players
+     */
+    async migrateWorld() {
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.localize('PF2E_VISION_CONFIG.MIGRATION.GM_ONLY'));
+            return null;
+        }
+
+        const summary = { scenes: 0, tokens: 0, prototypes: 0, compendiumActors: 0, cleaned: 0, lockedPacks: [] };
+        const count = (key, migration) => {
+            summary[key]++;
+            if (migration.result === 'cleaned') summary.cleaned++;
+        };
+
+        for (const scene of game.scenes) {
+            const sceneFlags = this.migrateSceneFlags(scene.flags?.['pf2e-vision-config']);
+            if (sceneFlags) {
+                await scene.update({ flags: sceneFlags });
+                summary.scenes++;
+            }
+
+            const tokenUpdates = scene.tokens.contents.flatMap(tokenDocument => {
+                const migration = this.migrateVisionFlags(tokenDocument.flags?.['pf2e-vision-config']);
+                if (!migration) return [];
+                count('tokens', migration);
+                return [{ _id: tokenDocument.id, flags: migration.flags }];
+            });
+            if (tokenUpdates.length) await scene.updateEmbeddedDocuments('Token', tokenUpdates, this.getHistoryOptions('migration'));
+        }
+
+        const buildActorUpdates = (actors, key) => actors.flatMap(actor => {
+            const migration = this.migrateVisionFlags(actor.prototypeToken?.flags?.['pf2e-vision-config']);
+            if (!migration) return [];
+            count(key, migration);
+            return [{ _id: actor.id, prototypeToken: { flags: migration.flags } }];
+        });
+
+        const actorUpdates = buildActorUpdates(game.actors.contents, 'prototypes');
+        if (actorUpdates.length) await Actor.updateDocuments(actorUpdates, this.getHistoryOptions('migration'));
+
+        for (const pack of game.packs.filter(pack => pack.documentName === 'Actor')) {
+            // Only world and module packs can be unlocked; locked packs are left for the GM to unlock and re-run
+            if (pack.locked) {
+                if (pack.metadata.packageType !== 'system') summary.lockedPacks.push(pack.title);
+                continue;
+            }
+            const packUpdates = buildActorUpdates(await pack.getDocuments(), 'compendiumActors');
+            if (packUpdates.length) await Actor.updateDocuments(packUpdates, { pack: pack.collection, ...this.getHistoryOptions('migration') });
+        }
+
+        await this.postMigrationSummary(summary);
+        return summary;
+    }
+
+    /**
+     * Whisper what a migration changed to the GMs; a migration that changed nothing is only logged
+     * @param {object} summary - Result of migrateWorld
+     */
+    async postMigrationSummary(summary) {
+        const { scenes, tokens, prototypes, compendiumActors, cleaned, lockedPacks } = summary;
+        console.log(`PF2E Vision Config: Migrated to schema ${SCHEMA_VERSION} - ${scenes} scene(s), ${tokens} token(s), ${prototypes} prototype token(s), ${compendiumActors} compendium actor(s), ${cleaned} cleaned up`);
+        if (!scenes && !tokens && !prototypes && !compendiumActors && !lockedPacks.length) return;
+
+        const line = (key, data) => `<li>${game.i18n.format(`PF2E_VISION_CONFIG.MIGRATION.${key}`, data)}</li>`;
+        const lines = [
+            line('SCENES', { count: scenes }),
+            line('TOKENS', { count: tokens }),
+            line('PROTOTYPES', { count: prototypes }),
+            line('COMPENDIUM_ACTORS', { count: compendiumActors }),
+            line('CLEANED', { count: cleaned })
+        ];
+        if (lockedPacks.length) {
+            lines.push(line('LOCKED_PACKS', { packs: this.escapeHtml(lockedPacks.join(', ')) }));
+        }
+
+        await ChatMessage.create({
+            content: `
+                <h3>${game.i18n.format('PF2E_VISION_CONFIG.MIGRATION.TITLE', { version: SCHEMA_VERSION })}</h3>
+                <ul>${lines.join('')}</ul>
+            `,
+            whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id)
+        });
+    }
+
+    /**
+     * Build the public API exposed as game.modules.get('pf2e-vision-config').api
+     * @returns {object} The API
+     */
+    createApi() {
+        return Object.freeze({
+            getVision: token => this.getVision(token),
+            setVision: (token, config) => this.setVision(token, config),
+            calculateVisionRanges: (totalVision, senses, conditions, rules) => this.calculateVisionRanges(totalVision, senses, conditions, rules),
+            calculateTotalVision: (feet, miles, units) => this.calculateTotalVision(feet, miles, units),
+            registerVisionType: (visionType, definition) => this.registerVisionType(visionType, definition),
+            getVisionTypes: () => this.getVisionTypeChoices(),
+            getPresets: () => this.getPresets(),
+            reconcileAllTokens: () => this.reconcileAllTokens(),
+            migrateWorld: () => this.migrateWorld(),
+            seek: token => this.seek(token),
+            getVisionHistory: token => this.getVisionHistory(token?.document ?? token),
+            revertVision: (token, index) => this.revertVision(token?.document ?? token, index),
+            getDetectionState: (target, seeker) => this.getDetectionState(target?.document ?? target, seeker?.document ?? seeker)
+        });
+    }
+
+    /**
+     * Read a token's vision configuration and the vision it results in
+     * @param {Token|TokenDocument|PrototypeToken} token - The token
+     * @returns {object} Object with flags, totalVision (feet), horizon (see calculateDaylightVision), effectiveVision (feet),
+     *                   senses (feet), conditions, rules (see getSceneRules), overrides (see getVisionOverrides)
+     *                   and visionRanges (scene units) properties
+     */
+    getVision(token) {
+        const tokenDocument = token?.document ?? token;
+        if (!tokenDocument?.flags) {
+            throw new Error('PF2E Vision Configuration: getVision needs a token, token document or prototype token');
+        }
+
+        const visionFlags = tokenDocument.flags['pf2e-vision-config'] ?? {};
+        const vision = this.resolveTokenVision(tokenDocument);
+        return {
+            flags: {
+                ...this.normalizePresetFlags(visionFlags),
+                horizonMode: vision.daylight.horizon?.mode ?? 'off',
+                lockVision: Boolean(visionFlags.lockVision)
+            },
+            totalVision: vision.totalVision,
+            horizon: vision.daylight.horizon,
+            effectiveVision: this.calculateEffectiveDaylight(vision.totalVision, vision.conditions, vision.rules),
+            senses: vision.senses,
+            conditions: vision.conditions,
+            rules: vision.rules,
+            overrides: vision.overrides,
+            visionRanges: vision.visionRanges
+        };
+    }
+
+    /**
+     * Change a token's vision configuration; the ranges are calculated as for any other update
+     * @param {Token|TokenDocument|PrototypeToken} token - The token
+     * @param {object} config - The changes, see applyVisionConfig
+     * @returns {Promise<TokenDocument|Actor>} The updated token, or the actor for a prototype token
+     */
+    async setVision(token, config = {}) {
+        const tokenDocument = token?.document ?? token;
+        if (!tokenDocument?.flags) {
+            throw new Error('PF2E Vision Configuration: setVision needs a token, token document or prototype token');
+        }
+
+        const visionFlags = this.applyVisionConfig(tokenDocument.flags['pf2e-vision-config'] ?? {}, config);
+        if (tokenDocument instanceof foundry.data.PrototypeToken) {
+            const actor = tokenDocument.parent;
+            return actor.update(this.buildPrototypeVisionUpdate(actor, visionFlags), this.getHistoryOptions('api'));
+        }
+        return tokenDocument.update({ flags: { 'pf2e-vision-config': visionFlags } }, this.getHistoryOptions('api'));
+    }
+
+    /**
+     * Check whether a token's vision flags should follow its actor's senses
+     * @param {object} visionFlags - The token's pf2e-vision-config flags
+     * @returns {boolean} True if auto mode is on and the token isn't locked
+     */
+    isAutoSenseEnabled(visionFlags) {
+        return game.settings.get('pf2e-vision-config', 'autoDeriveSenses') && !visionFlags?.lockVision;
+    }
+
+    /**
+     * Read the perception senses of a PF2e actor
+     * @param {Actor} actor - The actor to read senses from
+     * @returns {object[]} Senses as { type, acuity, range }, range in feet or Infinity when unlimited
+     */
+    getActorSenses(actor) {
+        // Prepared statistic first, then raw system data (older NPCs keep senses under traits)
+        const rawSenses = actor?.perception?.senses
+            ?? actor?.system?.perception?.senses
+            ?? actor?.system?.traits?.senses
+            ?? [];
+        const senseList = Array.isArray(rawSenses) ? rawSenses : Array.from(rawSenses.values?.() ?? []);
+
+        return senseList
+            .filter(sense => sense?.type)
+            .map(sense => {
+                const range = Number(sense.range);
+                return {
+                    type: sense.type,
+                    acuity: sense.acuity ?? 'precise',
+                    range: Number.isFinite(range) && range > 0 ? range : Infinity
+                };
+            });
+    }
+
+    /**
+     * Find the vision type a PF2e sense becomes
+     * @param {string} slug - The PF2e sense slug, e.g. 'low-light-vision'
+     * @returns {string|undefined} The vision type, or undefined if no registered type claims the sense
+     */
+    getVisionTypeForPF2eSense(slug) {
+        return Array.from(this.visionTypes.keys())
+            .find(type => this.visionTypes.get(type).pf2eSenses.includes(slug));
+    }
+
+    /**
+     * Derive the module's vision flags from an actor's senses
+     * Every creature sees normally; each sense with a registered type is added after that,
+     * senses without a range (e.g. darkvision) as unlimited ones
+     * @param {Actor} actor - The actor to derive from
+     * @param {object} [visionFlags] - The token's pf2e-vision-config flags, for the unit sense ranges are stored in
+     * @returns {object|null} The derived flags, or null if the actor has no readable senses
+     */
+    deriveVisionFlags(actor, visionFlags = {}) {
+        if (!actor || game.system.id !== 'pf2e') return null;
+
+        // PF2e sense ranges are in feet, token sense ranges in the token's near unit
+        const units = this.getTokenUnits(visionFlags);
+
+        const senses = [this.normalizeSense({ type: 'normal' })];
+        for (const actorSense of this.getActorSenses(actor)) {
+            const visionType = this.getVisionTypeForPF2eSense(actorSense.type);
+            if (!visionType || visionType === 'normal') continue;
+
+            const unlimited = !Number.isFinite(actorSense.range);
+            senses.push(this.normalizeSense({
+                type: visionType,
+                range: unlimited ? 0 : this.convertDistance(actorSense.range, 'ft', units.near),
+                acuity: actorSense.acuity,
+                unlimited
+            }));
+        }
+
+        return { senses };
+    }
+
+    /**
+     * Re-sync tokens when their actor's senses change
+     * Only the actor's tokens in the viewed scene are synced, as looking up the others means scanning every scene
+     * @param {Actor} actor - The actor that was updated
+     * @param {object} changes - The update data
+     * @param {object} options - Additional options
+     * @param {string} userId - The user ID making the update
+     */
+    async onUpdateActor(actor, changes, options, userId) {
+        try {
+            if (!this.isReconciler()) return;
+            // Senses live under perception, or under traits on older NPCs; other updates can't change them
+            if (!['system.perception', 'system.traits'].some(key => foundry.utils.hasProperty(changes, key))) return;
+            await this.syncActorTokens(actor, actor.getActiveTokens(false, true));
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error syncing senses after actor update', error);
+        }
+    }
+
+    /**
+     * Re-sync tokens when an ancestry, heritage, feat or other item changes on their actor
+     * @param {Item} item - The item that was created, updated or deleted
+     * @param {object} changesOrOptions - The update data, or options for create and delete
+     * @param {object|string} optionsOrUserId - Additional options, or the user ID for create and delete
+     */
+    async onActorItemChange(item, changesOrOptions, optionsOrUserId) {
+        try {
+            if (!this.isReconciler()) return;
+            if (!(item.parent instanceof Actor)) return;
+            await this.syncActorTokens(item.parent);
+
+            // Conditions and effects override vision without touching the flags, so recalculate it
+            if (item.type === 'condition' || item.type === 'effect') {
+                await this.reconcileTokens(this.getActorTokens(item.parent));
+            }
+
+            // Hiding again, or being revealed, makes what earlier Seeks found out of date
+            if (item.type === 'condition' && DETECTION_CONDITIONS.includes(item.slug ?? item.system?.slug)) {
+                await this.clearDetectionStates(item.parent);
+            }
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error syncing senses after item change', error);
+        }
+    }
+
+    /**
+     * Forget the detection states Seek recorded for an actor's tokens, one write per scene
+     * @param {Actor} actor - The actor whose tokens were sought
+     */
+    async clearDetectionStates(actor) {
+        const tokenUpdates = this.getActorTokens(actor)
+            .filter(tokenDocument => tokenDocument.flags?.['pf2e-vision-config']?.detection)
+            .map(tokenDocument => ({ tokenDocument, changes: { 'flags.pf2e-vision-config.-=detection': null } }));
+
+        const updatesByScene = await this.updateTokensByScene(tokenUpdates);
+        for (const scene of updatesByScene.keys()) {
+            console.log(`PF2E Vision Config: Cleared Seek results for ${actor.name} in ${scene.name}`);
+        }
+    }
+
+    /**
+     * Get the placed tokens of an actor
+     * @param {Actor} actor - The actor
+     * @returns {foundry.documents.BaseToken[]} The actor's tokens in all scenes
+     */
+    getActorTokens(actor) {
+        // A synthetic actor belongs to exactly one unlinked token, a world actor to every linked token
+        if (actor.isToken) return actor.token ? [actor.token] : [];
+        return game.scenes.contents.flatMap(scene => scene.tokens.filter(token => token.actorLink && token.actorId === actor.id));
+    }
+
+    /**
+     * Write vision flags derived from the actor's senses to its tokens
+     * Tokens that are locked, or already up to date, are left alone
+     * @param {Actor} actor - The actor whose tokens should be synced
+     * @param {foundry.documents.BaseToken[]} [tokens] - Specific tokens to sync, defaults to all of the actor's placed tokens
+     */
+    async syncActorTokens(actor, tokens) {
+        if (!actor || !game.settings.get('pf2e-vision-config', 'autoDeriveSenses')) return;
+
+        const targets = tokens ?? this.getActorTokens(actor);
+
+        const tokenUpdates = [];
+        for (const tokenDocument of targets) {
+            if (!tokenDocument?.parent) continue;
+
+            const currentFlags = tokenDocument.flags?.['pf2e-vision-config'] ?? {};
+            if (!this.isAutoSenseEnabled(currentFlags)) continue;
+
+            const derivedFlags = this.deriveVisionFlags(actor, currentFlags);
+            if (!derivedFlags) continue;
+
+            if (foundry.utils.objectsEqual(this.getTokenSenses(currentFlags), derivedFlags.senses)) continue;
+
+            tokenUpdates.push({ tokenDocument, changes: { flags: { 'pf2e-vision-config': derivedFlags } } });
+        }
+
+        const updatesByScene = await this.updateTokensByScene(tokenUpdates, this.getHistoryOptions('auto'));
+        for (const [scene, updates] of updatesByScene) {
+            console.log(`PF2E Vision Config: Synced senses from ${actor.name} to ${updates.length} token(s) in ${scene.name}`);
+        }
+    }
+
+}
+
+// Create module instance
+export const pf2eVisionConfig = new PF2EVisionConfig();
+
+// Register settings during init hook (when game object becomes available)
 Hooks.once('init', () => {
     try {
+        // Expose the API first so vision types registered by other modules show up in the settings
+        const module = game.modules.get('pf2e-vision-config');
+        if (module) {
+            module.api = pf2eVisionConfig.createApi();
+
+            /**
+             * A hook event that fires once the module's API is available, the place to register vision types.
+             * @function pf2eVisionConfig.init
+             * @memberof hookEvents
+             * @param {object} api   The module API, also at game.modules.get('pf2e-vision-config').api
+             */
+            Hooks.callAll('pf2eVisionConfig.init', module.api);
+        }
+
         pf2eVisionConfig.registerSettings();
+        pf2eVisionConfig.registerKeybindings();
+
+        // The exploration layer has to exist before the canvas is drawn
+        CONFIG.Canvas.layers.pf2eVisionExploration = { layerClass: ExplorationLayer, group: 'interface' };
     } catch (error) {
         console.error('PF2E Vision Configuration: Error during init', error);
     }
@@ -484,4 +3978,5 @@ Hooks.once('init', () => {
 // Initialize the module when Foundry is ready
 Hooks.once('ready', async () => {
     await pf2eVisionConfig.initialize();
+    await pf2eVisionConfig.runMigrations();
 }); 
\ No newline at end of file
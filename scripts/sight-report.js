@@ -0,0 +1,183 @@
+/**
+ * PF2E Vision Configuration - Sight Report
+ * GM overview of what each player token in the viewed scene can perceive
+ */
+
+import { pf2eVisionConfig } from './pf2e-vision-config.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class SightReport extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        this.sort = { key: 'name', direction: 1 };
+        this.rows = null;
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: 'pf2e-vision-sight-report',
+        classes: ['pf2e-vision-sight-report'],
+        window: {
+            title: 'PF2E_VISION_CONFIG.REPORT.TITLE',
+            icon: 'fas fa-binoculars',
+            resizable: true
+        },
+        position: {
+            width: 720,
+            height: 'auto'
+        },
+        actions: {
+            sort: SightReport.#onSort,
+            refresh: SightReport.#onRefresh,
+            exportToChat: SightReport.#onExportToChat
+        }
+    };
+
+    /**
+     * Render the report table
+     * @param {object} context - The render context
+     * @param {object} options - Render options
+     * @returns {Promise<string>} The report HTML
+     */
+    async _renderHTML(context, options) {
+        const localize = key => game.i18n.localize(`PF2E_VISION_CONFIG.REPORT.${key}`);
+        const scene = canvas.scene;
+        if (!scene) return `<p class="notes">${localize('NO_SCENE')}</p>`;
+
+        this.rows ??= pf2eVisionConfig.buildSightReport(scene);
+        const header = key => {
+            const icon = this.sort.key !== key ? '' : this.sort.direction > 0 ? 'fa-sort-up' : 'fa-sort-down';
+            return `<th><a data-action="sort" data-key="${key}">${localize(key.toUpperCase())} <i class="fas ${icon}"></i></a></th>`;
+        };
+
+        const rows = this.getSortedRows();
+        const body = rows.length
+            ? `
+                <table class="pf2e-vision-sight-report-table">
+                    <thead>
+                        <tr>
+                            ${header('name')}
+                            ${header('daylight')}
+                            <th>${localize('SENSES')}</th>
+                            ${header('detected')}
+                        </tr>
+                    </thead>
+                    <tbody>${rows.map(row => this.renderRow(row)).join('')}</tbody>
+                </table>
+            `
+            : `<p class="notes">${localize('NO_TOKENS')}</p>`;
+
+        return `
+            ${body}
+            <footer class="form-footer">
+                <button type="button" data-action="refresh">
+                    <i class="fas fa-sync"></i> ${localize('REFRESH')}
+                </button>
+                <button type="button" data-action="exportToChat" ${this.rows.length ? '' : 'disabled'}>
+                    <i class="fas fa-comment"></i> ${localize('EXPORT')}
+                </button>
+            </footer>
+        `;
+    }
+
+    /**
+     * Build the table row of one token
+     * @param {object} row - A row of buildSightReport
+     * @returns {string} The row HTML
+     */
+    renderRow(row) {
+        const escape = value => pf2eVisionConfig.escapeHtml(value);
+        const senses = row.senses.map(sense => `
+            <li>
+                <strong>${escape(sense.label)}</strong> (${escape(sense.reachLabel)}, ${pf2eVisionConfig.describeSenseAcuity(sense)}):
+                ${sense.tokens.length ? escape(sense.tokens.join(', ')) : game.i18n.localize('PF2E_VISION_CONFIG.REPORT.NONE')}
+            </li>
+        `).join('');
+
+        return `
+            <tr>
+                <td>${escape(row.name)}</td>
+                <td>${escape(row.daylightLabel)}</td>
+                <td><ul>${senses}</ul></td>
+                <td>${row.detected}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Sort the rows by the chosen column
+     * @returns {object[]} The sorted rows
+     */
+    getSortedRows() {
+        const { key, direction } = this.sort;
+        return [...this.rows].sort((a, b) => {
+            const order = key === 'name' ? a.name.localeCompare(b.name, game.i18n.lang) : a[key] - b[key];
+            return order * direction;
+        });
+    }
+
+    /**
+     * Replace the application content with the rendered report
+     * @param {string} result - Result of _renderHTML
+     * @param {HTMLElement} content - The content element
+     * @param {object} options - Render options
+     */
+    _replaceHTML(result, content, options) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Sort by a column, reversing the order when it is already sorted by it
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked header
+     */
+    static #onSort(event, target) {
+        const key = target.dataset.key;
+        this.sort = { key, direction: this.sort.key === key ? -this.sort.direction : 1 };
+        this.render();
+    }
+
+    /**
+     * Rebuild the report from the scene as it is now
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onRefresh(event, target) {
+        this.rows = null;
+        this.render();
+    }
+
+    /**
+     * Whisper the report, in its current order, to the GMs
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static async #onExportToChat(event, target) {
+        if (!this.rows?.length) return;
+
+        try {
+            const localize = key => game.i18n.localize(`PF2E_VISION_CONFIG.REPORT.${key}`);
+            const rows = this.getSortedRows().map(row => this.renderRow(row)).join('');
+            await ChatMessage.create({
+                content: `
+                    <h3>${localize('TITLE')}: ${pf2eVisionConfig.escapeHtml(canvas.scene.name)}</h3>
+                    <table class="pf2e-vision-sight-report-table">
+                        <thead>
+                            <tr>
+                                <th>${localize('NAME')}</th>
+                                <th>${localize('DAYLIGHT')}</th>
+                                <th>${localize('SENSES')}</th>
+                                <th>${localize('DETECTED')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `,
+                whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id)
+            });
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error exporting sight report', error);
+            ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.REPORT.EXPORT_FAILED'));
+        }
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * PF2E Vision Configuration - Presets Manager
+ * World-level library of named vision presets, opened from the module settings
+ */
+
+import { pf2eVisionConfig } from './pf2e-vision-config.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+export class VisionPresetsManager extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        // Edits are kept here until the form is saved
+        this.presets = pf2eVisionConfig.getPresets();
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: 'pf2e-vision-presets',
+        tag: 'form',
+        classes: ['pf2e-vision-presets'],
+        window: {
+            title: 'PF2E_VISION_CONFIG.PRESETS.TITLE',
+            icon: 'fas fa-eye',
+            resizable: true
+        },
+        position: {
+            width: 600,
+            height: 'auto'
+        },
+        form: {
+            handler: VisionPresetsManager.#onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            addPreset: VisionPresetsManager.#onAddPreset,
+            deletePreset: VisionPresetsManager.#onDeletePreset,
+            importPresets: VisionPresetsManager.#onImportPresets,
+            exportPresets: VisionPresetsManager.#onExportPresets
+        }
+    };
+
+    /**
+     * Render the presets form
+     * @param {object} context - The render context
+     * @param {object} options - Render options
+     * @returns {Promise<string>} The form HTML
+     */
+    async _renderHTML(context, options) {
+        const presetsHTML = this.presets.length
+            ? this.presets.map((preset, index) => this.renderPreset(preset, index)).join('')
+            : `<p class="notes">${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.EMPTY')}</p>`;
+
+        return `
+            <div class="pf2e-vision-preset-list">${presetsHTML}</div>
+            <footer class="form-footer">
+                <button type="button" data-action="addPreset">
+                    <i class="fas fa-plus"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.ADD')}
+                </button>
+                <button type="button" data-action="importPresets">
+                    <i class="fas fa-file-import"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.IMPORT')}
+                </button>
+                <button type="button" data-action="exportPresets">
+                    <i class="fas fa-file-export"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.EXPORT')}
+                </button>
+                <button type="submit">
+                    <i class="fas fa-save"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.SAVE')}
+                </button>
+            </footer>
+        `;
+    }
+
+    /**
+     * Replace the application content with the rendered form
+     * @param {string} result - Result of _renderHTML
+     * @param {HTMLElement} content - The content element
+     * @param {object} options - Render options
+     */
+    _replaceHTML(result, content, options) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Attach the sense list listeners after each render
+     * @param {object} context - The render context
+     * @param {object} options - Render options
+     */
+    _onRender(context, options) {
+        pf2eVisionConfig.addSenseListeners(this.element);
+    }
+
+    /**
+     * Build the fieldset for a single preset
+     * @param {object} preset - The preset as { id, name, flags }
+     * @param {number} index - Position of the preset in the list
+     * @returns {string} The fieldset HTML
+     */
+    renderPreset(preset, index) {
+        const prefix = `presets.${index}`;
+        const flags = preset.flags;
+
+        return `
+            <fieldset class="pf2e-vision-preset">
+                <input type="hidden" name="${prefix}.id" value="${pf2eVisionConfig.escapeHtml(preset.id)}" />
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.NAME')}</label>
+                    <input type="text" name="${prefix}.name" value="${pf2eVisionConfig.escapeHtml(preset.name)}" required />
+                    <button type="button" data-action="deletePreset" data-index="${index}" data-tooltip="${game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.DELETE')}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_FEET')}</label>
+                    <div class="pf2e-vision-distance">
+                        <input type="number" name="${prefix}.flags.daylightVisionFeet" value="${flags.daylightVisionFeet}" min="0" step="1" />
+                        <select name="${prefix}.flags.nearUnit">${pf2eVisionConfig.renderUnitOptions(['ft', 'm'], flags.nearUnit)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.DAYLIGHT_VISION_MILES')}</label>
+                    <div class="pf2e-vision-distance">
+                        <input type="number" name="${prefix}.flags.daylightVisionMiles" value="${flags.daylightVisionMiles}" min="0" step="0.1" />
+                        <select name="${prefix}.flags.farUnit">${pf2eVisionConfig.renderUnitOptions(['mi', 'km'], flags.farUnit)}</select>
+                    </div>
+                </div>
+                <div class="form-group pf2e-vision-senses">
+                    <label>${game.i18n.localize('PF2E_VISION_CONFIG.SENSES')}</label>
+                    <div class="pf2e-vision-sense-list" data-prefix="${prefix}.flags.senses">
+                        ${flags.senses.map((sense, senseIndex) => pf2eVisionConfig.renderSenseRow(sense, senseIndex, `${prefix}.flags.senses`)).join('')}
+                    </div>
+                    <button type="button" class="pf2e-vision-add-sense">
+                        <i class="fas fa-plus"></i> ${game.i18n.localize('PF2E_VISION_CONFIG.ADD_SENSE')}
+                    </button>
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Read the presets currently shown in the form, including unsaved edits
+     * @returns {object[]} The presets
+     */
+    readPresetsFromForm() {
+        const formData = new foundry.applications.ux.FormDataExtended(this.element);
+        const data = foundry.utils.expandObject(formData.object);
+        return Object.values(data.presets ?? {}).map(preset => this.toDraft(preset));
+    }
+
+    /**
+     * Fill in a preset being edited; unlike a saved preset, its name may still be empty
+     * @param {object} preset - The preset as { id, name, flags }
+     * @returns {object} The preset with all flags filled in
+     */
+    toDraft(preset) {
+        return {
+            id: preset.id || foundry.utils.randomID(),
+            name: String(preset.name ?? ''),
+            flags: pf2eVisionConfig.normalizePresetFlags(preset.flags)
+        };
+    }
+
+    /**
+     * Save the presets
+     * @param {SubmitEvent} event - The submit event
+     * @param {HTMLFormElement} form - The form element
+     * @param {FormDataExtended} formData - The submitted data
+     */
+    static async #onSubmit(event, form, formData) {
+        try {
+            await pf2eVisionConfig.savePresets(this.readPresetsFromForm());
+            ui.notifications.info(game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.SAVED'));
+        } catch (error) {
+            console.error('PF2E Vision Configuration: Error saving presets', error);
+        }
+    }
+
+    /**
+     * Add an empty preset to the form
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onAddPreset(event, target) {
+        this.presets = this.readPresetsFromForm();
+        this.presets.push(this.toDraft({ name: game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.NEW_NAME') }));
+        this.render();
+    }
+
+    /**
+     * Remove a preset from the form
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onDeletePreset(event, target) {
+        this.presets = this.readPresetsFromForm();
+        this.presets.splice(Number(target.dataset.index), 1);
+        this.render();
+    }
+
+    /**
+     * Pick a JSON file and add its presets to the library
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onImportPresets(event, target) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            try {
+                const count = await pf2eVisionConfig.importPresets(await foundry.utils.readTextFromFile(file));
+                ui.notifications.info(game.i18n.format('PF2E_VISION_CONFIG.PRESETS.IMPORTED', { count }));
+                this.presets = pf2eVisionConfig.getPresets();
+                this.render();
+            } catch (error) {
+                console.error('PF2E Vision Configuration: Error importing presets', error);
+                ui.notifications.error(game.i18n.localize('PF2E_VISION_CONFIG.PRESETS.IMPORT_FAILED'));
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * Download the saved presets as JSON
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     */
+    static #onExportPresets(event, target) {
+        pf2eVisionConfig.exportPresets();
+    }
+}